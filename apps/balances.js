@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+
+const { BOOKED_BALANCE_TYPES, fromCents, runBalanceChecks } = require("../core/balance-history");
+const { listStatementAliases } = require("../core/snapshot-store");
+
+const STATUS_ICONS = {
+  ok: "✅",
+  gap: "❌",
+  uncovered: "❔",
+};
+
+function parseArgs(argv) {
+  const options = {
+    accountAlias: null,
+    types: BOOKED_BALANCE_TYPES,
+    history: false,
+    toleranceCents: 1,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--account" || arg === "-a") {
+      options.accountAlias = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--account=")) {
+      options.accountAlias = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--type") {
+      options.types = argv[i + 1].split(",");
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--type=")) {
+      options.types = arg.split("=")[1].split(",");
+      continue;
+    }
+
+    if (arg === "--tolerance") {
+      options.toleranceCents = Math.round(Number(argv[i + 1]) * 100);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--tolerance=")) {
+      options.toleranceCents = Math.round(Number(arg.split("=")[1]) * 100);
+      continue;
+    }
+
+    if (arg === "--history") {
+      options.history = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function printHistory(history) {
+  let currentType = null;
+  history.observations.forEach((observation) => {
+    if (observation.balanceType !== currentType) {
+      currentType = observation.balanceType;
+      console.log(`  ${currentType}`);
+    }
+    console.log(
+      `    ${observation.referenceDate}  ${fromCents(observation.cents).padStart(12)} ${
+        observation.currency || ""
+      }  (${observation.source})`
+    );
+  });
+}
+
+function describeCheck(check) {
+  const parts = [
+    `${STATUS_ICONS[check.status]} ${check.balanceType} ${check.from} -> ${check.to}`,
+    `${check.previous} + ${check.movement} (${check.transactions} booked) = ${check.next}`,
+  ];
+  if (check.status === "gap") {
+    parts.push(`off by ${check.difference} ${check.currency || ""}: transactions are missing`.trim());
+  }
+  if (check.status === "uncovered") {
+    parts.push(`off by ${check.difference}, no saved statements cover the whole period`);
+  }
+  return parts.join(" • ");
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Builds the balance history of each account from every saved statements file and checks
+that each balance equals the previous one plus the booked transactions in between.
+
+Options:
+  --account <alias>    Only check the given alias (defaults to every alias with statements)
+  --type <types>       Comma-separated balance types to check (default: ${BOOKED_BALANCE_TYPES.join(",")})
+  --tolerance <amount> Accepted difference in currency units (default: 0.01)
+  --history            Also print every recorded balance per type
+  --json               Print the history and checks as JSON
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const aliases = options.accountAlias ? [options.accountAlias] : await listStatementAliases();
+  if (!aliases.length) {
+    console.log("No statements found. Run node apps/fetch-statements.js first.");
+    return;
+  }
+
+  const reports = [];
+  for (const alias of aliases) {
+    reports.push({ alias, ...(await runBalanceChecks(alias, options)) });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(({ alias, history, checks }) => {
+      console.log(`\n${alias}: ${history.observations.length} balance observation(s)`);
+      if (options.history) {
+        printHistory(history);
+      }
+      if (!checks.length) {
+        console.log("  not enough balances of the checked types to compare yet");
+      }
+      checks.forEach((check) => console.log(`  ${describeCheck(check)}`));
+    });
+  }
+
+  const gaps = reports.flatMap(({ checks }) => checks.filter((check) => check.status === "gap"));
+  if (gaps.length) {
+    if (!options.json) {
+      console.log(`\n${gaps.length} balance gap(s) found; fetch the affected periods again to recover missing transactions.`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("Balance check failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
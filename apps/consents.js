@@ -0,0 +1,631 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+const readline = require("readline/promises");
+
+const { createGocardlessClient } = require("../core/gocardless-client");
+const { loadAccountsConfig, resolveAccount, updateAccountEntry } = require("../core/config");
+const {
+  DEFAULT_WARN_DAYS,
+  buildActiveConsentPatch,
+  computeConsentExpiry,
+  confirmLinkedConsent,
+  createConsent,
+  describeConsentStatus,
+} = require("../core/consent");
+const { buildLinkedAccountPatch } = require("../core/accounts");
+const { installHttpRecorder } = require("../core/http-recorder");
+
+const REQUISITION_STATUS_LABELS = {
+  CR: "created",
+  GC: "giving consent",
+  UA: "undergoing authentication",
+  RJ: "rejected",
+  SA: "selecting accounts",
+  GA: "granting access",
+  LN: "linked",
+  SU: "suspended",
+  EX: "expired",
+};
+
+const DEAD_REQUISITION_STATUSES = new Set(["RJ", "SU", "EX"]);
+// A consent flow can sit in these statuses while the user is still at the bank.
+const IN_PROGRESS_REQUISITION_STATUSES = new Set(["CR", "GC", "UA", "SA", "GA"]);
+const RECENT_CREATION_HOURS = 24;
+const COMMANDS = new Set(["list", "delete", "prune", "status", "renew", "activate"]);
+const STATUS_ICONS = {
+  valid: "✅",
+  expiring: "⚠️",
+  expired: "❌",
+  unknown: "❔",
+};
+
+function parseArgs(argv) {
+  const options = {
+    command: "list",
+    targetId: null,
+    warnDays: Number(process.env.CONSENT_WARN_DAYS || DEFAULT_WARN_DAYS),
+    refresh: false,
+    wait: true,
+    redirect: process.env.REDIRECT_URL,
+    yes: false,
+    json: false,
+    includePending: false,
+    help: false,
+  };
+
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--yes" || arg === "-y") {
+      options.yes = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--warn-days") {
+      options.warnDays = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--warn-days=")) {
+      options.warnDays = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--include-pending") {
+      options.includePending = true;
+      continue;
+    }
+
+    if (arg === "--refresh") {
+      options.refresh = true;
+      continue;
+    }
+
+    if (arg === "--no-wait") {
+      options.wait = false;
+      continue;
+    }
+
+    if (arg === "--redirect") {
+      options.redirect = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--redirect=")) {
+      options.redirect = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    positional.push(arg);
+  }
+
+  if (positional.length) {
+    options.command = positional[0];
+    options.targetId = positional[1] || null;
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`Usage: node ${path.relative(process.cwd(), __filename)} <command> [options]
+
+Commands:
+  list                 List requisitions and agreements with their status and alias
+  delete <id>          Delete a requisition or agreement by ID
+  prune                Delete orphaned or expired requisitions and agreements (needs config/accounts.json)
+  status               Show consent expiry per alias and warn ahead of expiry
+  renew <alias>        Create a new consent for the alias and switch to it once linked
+  activate <alias>     Switch the alias to its pending consent once it is linked
+
+Options:
+  -y, --yes            Do not ask for confirmation before deleting
+  --json               Print the collected data as JSON (list and status)
+  --warn-days <n>      Warn when a consent expires within n days (default: ${DEFAULT_WARN_DAYS})
+  --include-pending    prune: also delete requisitions still in progress or created in the last ${RECENT_CREATION_HOURS}h
+  --refresh            Read consent dates from the API before reporting status
+  --no-wait            renew: record the pending consent and return without waiting
+  --redirect <url>     renew: redirect URL override (defaults to REDIRECT_URL env)
+  --record <dir>       Save every HTTP exchange (credentials redacted) to <dir>
+  --replay <dir>       Answer HTTP requests from a --record directory instead of the network
+  -h, --help           Show this help message
+`);
+}
+
+async function loadAccountsConfigIfPresent() {
+  try {
+    return await loadAccountsConfig();
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+}
+
+function computeAgreementExpiry(agreement) {
+  if (!agreement?.accepted || !agreement.access_valid_for_days) {
+    return null;
+  }
+
+  return computeConsentExpiry(agreement.accepted, agreement.access_valid_for_days);
+}
+
+function isAgreementExpired(agreement, now = new Date()) {
+  const expiresAt = computeAgreementExpiry(agreement);
+  return Boolean(expiresAt) && new Date(expiresAt) <= now;
+}
+
+function buildLifecycle(requisitions, agreements, accountsConfig) {
+  const aliasesByRequisition = new Map();
+  const addAlias = (requisitionId, label) => {
+    const aliases = aliasesByRequisition.get(requisitionId) || [];
+    aliases.push(label);
+    aliasesByRequisition.set(requisitionId, aliases);
+  };
+  Object.entries(accountsConfig).forEach(([alias, entry]) => {
+    if (entry?.requisitionId) {
+      addAlias(entry.requisitionId, alias);
+    }
+    if (entry?.pendingConsent?.requisitionId) {
+      addAlias(entry.pendingConsent.requisitionId, `${alias} (pending)`);
+    }
+  });
+
+  const agreementsById = new Map(agreements.map((agreement) => [agreement.id, agreement]));
+
+  const requisitionRows = requisitions.map((requisition) => {
+    const agreement = agreementsById.get(requisition.agreement) || null;
+    const aliases = aliasesByRequisition.get(requisition.id) || [];
+    const expired =
+      DEAD_REQUISITION_STATUSES.has(requisition.status) || isAgreementExpired(agreement);
+
+    return {
+      id: requisition.id,
+      status: requisition.status,
+      statusLabel: REQUISITION_STATUS_LABELS[requisition.status] || "unknown",
+      institutionId: requisition.institution_id,
+      created: requisition.created,
+      agreementId: requisition.agreement || null,
+      agreementExpiresAt: computeAgreementExpiry(agreement),
+      accounts: Array.isArray(requisition.accounts) ? requisition.accounts : [],
+      aliases,
+      orphaned: aliases.length === 0,
+      expired,
+    };
+  });
+
+  const requisitionsByAgreement = new Map();
+  requisitionRows.forEach((row) => {
+    if (row.agreementId) {
+      const rows = requisitionsByAgreement.get(row.agreementId) || [];
+      rows.push(row);
+      requisitionsByAgreement.set(row.agreementId, rows);
+    }
+  });
+
+  const agreementRows = agreements.map((agreement) => {
+    const linkedRequisitions = requisitionsByAgreement.get(agreement.id) || [];
+    return {
+      id: agreement.id,
+      institutionId: agreement.institution_id,
+      created: agreement.created,
+      accepted: agreement.accepted || null,
+      expiresAt: computeAgreementExpiry(agreement),
+      requisitionIds: linkedRequisitions.map((row) => row.id),
+      aliases: linkedRequisitions.flatMap((row) => row.aliases),
+      orphaned: linkedRequisitions.length === 0,
+      expired: isAgreementExpired(agreement),
+    };
+  });
+
+  const knownRequisitionIds = new Set(requisitionRows.map((row) => row.id));
+  const danglingAliases = Object.entries(accountsConfig)
+    .filter(([, entry]) => entry?.requisitionId && !knownRequisitionIds.has(entry.requisitionId))
+    .map(([alias, entry]) => ({ alias, requisitionId: entry.requisitionId }));
+
+  return { requisitions: requisitionRows, agreements: agreementRows, danglingAliases };
+}
+
+function formatDate(value) {
+  return value ? value.split("T")[0] : "-";
+}
+
+function printLifecycle({ requisitions, agreements, danglingAliases }) {
+  console.log(`Requisitions (${requisitions.length})`);
+  requisitions.forEach((row) => {
+    const flags = [row.orphaned ? "orphaned" : null, row.expired ? "expired" : null].filter(Boolean);
+    console.log(
+      `- ${row.id} ${row.status} (${row.statusLabel}) • ${row.institutionId} • created ${formatDate(
+        row.created
+      )} • consent until ${formatDate(row.agreementExpiresAt)} • ${row.accounts.length} account(s) • alias ${
+        row.aliases.join(", ") || "-"
+      }${flags.length ? ` • ${flags.join(", ")}` : ""}`
+    );
+  });
+
+  console.log(`\nAgreements (${agreements.length})`);
+  agreements.forEach((row) => {
+    const flags = [row.orphaned ? "orphaned" : null, row.expired ? "expired" : null].filter(Boolean);
+    console.log(
+      `- ${row.id} • ${row.institutionId} • created ${formatDate(row.created)} • accepted ${formatDate(
+        row.accepted
+      )} • expires ${formatDate(row.expiresAt)} • alias ${row.aliases.join(", ") || "-"}${
+        flags.length ? ` • ${flags.join(", ")}` : ""
+      }`
+    );
+  });
+
+  if (danglingAliases.length) {
+    console.log("\nAliases pointing at unknown requisitions");
+    danglingAliases.forEach(({ alias, requisitionId }) => {
+      console.log(`- ${alias} -> ${requisitionId}`);
+    });
+  }
+}
+
+function isRecentlyCreated(row, now = new Date()) {
+  const created = row.created ? new Date(row.created) : null;
+  return Boolean(created) && now - created < RECENT_CREATION_HOURS * 60 * 60 * 1000;
+}
+
+function isPendingRequisition(row, now = new Date()) {
+  if (row.expired) {
+    return false;
+  }
+  return IN_PROGRESS_REQUISITION_STATUSES.has(row.status) || isRecentlyCreated(row, now);
+}
+
+function selectPruneTargets(lifecycle, { includePending = false, now = new Date() } = {}) {
+  const candidates = lifecycle.requisitions.filter((row) => row.orphaned || row.expired);
+  const skipped = includePending ? [] : candidates.filter((row) => isPendingRequisition(row, now));
+  const requisitions = candidates.filter((row) => !skipped.includes(row));
+  const prunedRequisitionIds = new Set(requisitions.map((row) => row.id));
+
+  const agreements = lifecycle.agreements.filter((row) => {
+    if (row.expired) {
+      return true;
+    }
+    if (!row.requisitionIds.every((requisitionId) => prunedRequisitionIds.has(requisitionId))) {
+      return false;
+    }
+    // A fresh agreement without requisition is usually a consent flow that has not reached the requisition step yet.
+    return includePending || !(row.orphaned && isRecentlyCreated(row, now));
+  });
+
+  return { requisitions, agreements, skipped };
+}
+
+async function confirm(question, assumeYes) {
+  if (assumeYes) {
+    return true;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function deleteTargets(client, { requisitions, agreements }) {
+  let deleted = 0;
+
+  for (const row of requisitions) {
+    try {
+      await client.deleteRequisition(row.id);
+      console.log(`Deleted requisition ${row.id}`);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Failed to delete requisition ${row.id}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  for (const row of agreements) {
+    try {
+      await client.deleteAgreement(row.id);
+      console.log(`Deleted agreement ${row.id}`);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Failed to delete agreement ${row.id}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  return deleted;
+}
+
+function createClientFromEnv() {
+  const secretId = process.env.GOCARDLESS_SECRET_ID;
+  const secretKey = process.env.GOCARDLESS_SECRET_KEY;
+
+  if (!secretId || !secretKey) {
+    throw new Error("Set GOCARDLESS_SECRET_ID and GOCARDLESS_SECRET_KEY in your .env");
+  }
+
+  return createGocardlessClient({
+    secretId,
+    secretKey,
+    baseUrl: process.env.GOCARDLESS_BASE_URL || undefined,
+  });
+}
+
+async function refreshConsentDates(client, accountsConfig) {
+  for (const [alias, entry] of Object.entries(accountsConfig)) {
+    if (!entry?.requisitionId) {
+      continue;
+    }
+
+    try {
+      const requisition = await client.getRequisition(entry.requisitionId);
+      const agreement = requisition.agreement
+        ? await client.getAgreement(requisition.agreement)
+        : null;
+      const createdAt = agreement?.accepted || agreement?.created || requisition.created;
+      const computedExpiry = computeConsentExpiry(createdAt, agreement?.access_valid_for_days);
+      const now = new Date().toISOString();
+
+      accountsConfig[alias] = await updateAccountEntry(alias, {
+        agreementId: agreement?.id || entry.agreementId,
+        consentCreatedAt: createdAt,
+        consentExpiresAt:
+          requisition.status === "EX" && (!computedExpiry || computedExpiry > now)
+            ? now
+            : computedExpiry,
+      });
+    } catch (error) {
+      console.error(`Could not refresh consent dates for ${alias}: ${error.message}`);
+    }
+  }
+}
+
+async function reportStatus(options) {
+  const accountsConfig = await loadAccountsConfig();
+
+  if (options.refresh) {
+    await refreshConsentDates(createClientFromEnv(), accountsConfig);
+  }
+
+  const rows = Object.entries(accountsConfig).map(([alias, entry]) => ({
+    alias,
+    requisitionId: entry.requisitionId || null,
+    consentCreatedAt: entry.consentCreatedAt || null,
+    pendingRequisitionId: entry.pendingConsent?.requisitionId || null,
+    ...describeConsentStatus(entry, { warnDays: options.warnDays }),
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+  } else {
+    rows.forEach((row) => {
+      const parts = [`${STATUS_ICONS[row.state]} ${row.alias}`, row.state];
+      if (row.expiresAt) {
+        parts.push(
+          row.daysLeft < 0
+            ? `expired on ${formatDate(row.expiresAt)}`
+            : `expires ${formatDate(row.expiresAt)} (${row.daysLeft} day(s) left)`
+        );
+      } else {
+        parts.push("no consent dates recorded (use --refresh)");
+      }
+      if (row.pendingRequisitionId) {
+        parts.push(`pending ${row.pendingRequisitionId}`);
+      }
+      console.log(parts.join(" • "));
+    });
+  }
+
+  const needsRenewal = rows.filter((row) => row.state === "expired" || row.state === "expiring");
+  if (needsRenewal.length) {
+    console.log(
+      `\nRenew with: ${needsRenewal
+        .map((row) => `node apps/consents.js renew ${row.alias}`)
+        .join(" ; ")}`
+    );
+    process.exitCode = 1;
+  }
+}
+
+async function renewConsent(client, options) {
+  const alias = options.targetId;
+  if (!alias) {
+    throw new Error("renew needs an account alias");
+  }
+  if (!options.redirect) {
+    throw new Error("Missing required environment variable REDIRECT_URL");
+  }
+
+  const accountConfig = resolveAccount(await loadAccountsConfig(), alias);
+  const { requisition, consent } = await createConsent(client, {
+    institutionId: accountConfig.institutionId,
+    redirect: options.redirect,
+  });
+  await updateAccountEntry(alias, { pendingConsent: consent });
+
+  console.log(`Created requisition ${requisition.id} for ${alias} (${accountConfig.institutionId}).`);
+  console.log("\nOpen this link to complete the consent:");
+  console.log(requisition.link);
+
+  if (!options.wait) {
+    console.log(`\nOnce it is completed, run node apps/consents.js activate ${alias}.`);
+    return;
+  }
+
+  console.log("\nWaiting for the consent to be completed...");
+  await activatePendingConsent(client, alias);
+}
+
+async function activatePendingConsent(client, alias) {
+  if (!alias) {
+    throw new Error("activate needs an account alias");
+  }
+
+  const accountConfig = resolveAccount(await loadAccountsConfig(), alias);
+  if (!accountConfig.pendingConsent?.requisitionId) {
+    throw new Error(`Account alias "${alias}" has no pending consent to activate`);
+  }
+
+  const previousRequisitionId = accountConfig.requisitionId || null;
+  const linked = await confirmLinkedConsent(client, accountConfig.pendingConsent);
+  const accountPatch = await buildLinkedAccountPatch(client, linked.requisition, accountConfig);
+  await updateAccountEntry(alias, {
+    ...buildActiveConsentPatch(linked.consent),
+    ...accountPatch,
+  });
+
+  console.log(
+    `Alias "${alias}" now uses requisition ${linked.consent.requisitionId} (valid until ${formatDate(
+      linked.consent.expiresAt
+    )}).`
+  );
+  if (previousRequisitionId && previousRequisitionId !== linked.consent.requisitionId) {
+    console.log(
+      `The previous requisition ${previousRequisitionId} is no longer referenced; node apps/consents.js prune will clean it up.`
+    );
+  }
+}
+
+async function main() {
+  installHttpRecorder();
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  if (!COMMANDS.has(options.command)) {
+    printHelp();
+    throw new Error(`Unknown command "${options.command}"`);
+  }
+
+  if (options.command === "status") {
+    await reportStatus(options);
+    return;
+  }
+
+  const client = createClientFromEnv();
+
+  if (options.command === "renew") {
+    await renewConsent(client, options);
+    return;
+  }
+
+  if (options.command === "activate") {
+    await activatePendingConsent(client, options.targetId);
+    return;
+  }
+
+  // Without the accounts config every requisition looks orphaned, so prune must not guess.
+  const [accountsConfig, requisitions, agreements] = await Promise.all([
+    options.command === "prune" ? loadAccountsConfig() : loadAccountsConfigIfPresent(),
+    client.listRequisitions(),
+    client.listAgreements(),
+  ]);
+  const lifecycle = buildLifecycle(requisitions, agreements, accountsConfig);
+
+  if (options.command === "list") {
+    if (options.json) {
+      console.log(JSON.stringify(lifecycle, null, 2));
+    } else {
+      printLifecycle(lifecycle);
+    }
+    return;
+  }
+
+  if (options.command === "delete") {
+    if (!options.targetId) {
+      throw new Error("delete needs a requisition or agreement ID");
+    }
+
+    const requisition = lifecycle.requisitions.find((row) => row.id === options.targetId);
+    const agreement = lifecycle.agreements.find((row) => row.id === options.targetId);
+
+    if (!requisition && !agreement) {
+      throw new Error(`No requisition or agreement with ID ${options.targetId}`);
+    }
+
+    const aliases = (requisition || agreement).aliases;
+    const warning = aliases.length ? ` It is still used by alias ${aliases.join(", ")}.` : "";
+    const kind = requisition ? "requisition" : "agreement";
+
+    if (!(await confirm(`Delete ${kind} ${options.targetId}?${warning}`, options.yes))) {
+      console.log("Aborted.");
+      return;
+    }
+
+    await deleteTargets(client, {
+      requisitions: requisition ? [requisition] : [],
+      agreements: agreement ? [agreement] : [],
+    });
+    return;
+  }
+
+  const targets = selectPruneTargets(lifecycle, { includePending: options.includePending });
+  if (targets.skipped.length) {
+    console.log(
+      `Skipping ${targets.skipped.length} requisition(s) still in progress or created in the last ${RECENT_CREATION_HOURS}h (use --include-pending to delete them):`
+    );
+    targets.skipped.forEach((row) => {
+      console.log(`- requisition ${row.id} (${row.status}, created ${formatDate(row.created)})`);
+    });
+  }
+
+  if (!targets.requisitions.length && !targets.agreements.length) {
+    console.log("Nothing to prune: every requisition and agreement is in use and valid.");
+    return;
+  }
+
+  console.log("The following will be deleted:");
+  targets.requisitions.forEach((row) => {
+    const reasons = [row.orphaned ? "orphaned" : null, row.expired ? "expired" : null].filter(Boolean);
+    console.log(
+      `- requisition ${row.id} (${row.status}, ${row.institutionId}) • ${reasons.join(", ")}${
+        row.aliases.length ? ` • still referenced by ${row.aliases.join(", ")}` : ""
+      }`
+    );
+  });
+  targets.agreements.forEach((row) => {
+    console.log(
+      `- agreement ${row.id} (${row.institutionId}) • ${row.expired ? "expired" : "no live requisition"}`
+    );
+  });
+
+  const total = targets.requisitions.length + targets.agreements.length;
+  if (!(await confirm(`Delete ${total} item(s)?`, options.yes))) {
+    console.log("Aborted.");
+    return;
+  }
+
+  const deleted = await deleteTargets(client, targets);
+  console.log(`Pruned ${deleted} of ${total} item(s).`);
+}
+
+main().catch((error) => {
+  console.error("Consent management failed:");
+  if (error.response?.data) {
+    console.error(JSON.stringify(error.response.data, null, 2));
+  } else {
+    console.error(error.message);
+  }
+  process.exitCode = 1;
+});
@@ -1,21 +1,31 @@
 #!/usr/bin/env node
 require("dotenv").config();
 
-const crypto = require("crypto");
 const path = require("path");
 
 const { createGocardlessClient } = require("../core/gocardless-client");
 const {
   loadAccountsConfig,
   resolveAccount,
+  updateAccountEntry,
   ACCOUNTS_PATH,
 } = require("../core/config");
+const {
+  buildActiveConsentPatch,
+  confirmLinkedConsent,
+  createConsent,
+} = require("../core/consent");
+const { buildLinkedAccountPatch } = require("../core/accounts");
+const { listenForRedirect } = require("../core/redirect-listener");
+const { installHttpRecorder } = require("../core/http-recorder");
 
 function parseArgs(argv) {
   const options = {
     accountAlias: process.env.GOCARDLESS_ACTIVE_ACCOUNT || null,
     institutionId: process.env.GOCARDLESS_INSTITUTION_ID || null,
     redirect: process.env.REDIRECT_URL,
+    wait: false,
+    listen: false,
     help: false,
   };
 
@@ -55,6 +65,16 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--wait") {
+      options.wait = true;
+      continue;
+    }
+
+    if (arg === "--listen") {
+      options.listen = true;
+      continue;
+    }
+
     if (arg === "--help" || arg === "-h") {
       options.help = true;
       continue;
@@ -71,13 +91,20 @@ function assertEnv(value, name) {
   return value;
 }
 
-function buildReference(institutionId) {
-  const sanitized = institutionId.replace(/[^A-Za-z0-9]/g, "").toLowerCase();
-  const randomSuffix = crypto.randomUUID().split("-")[0];
-  return `${sanitized}_${randomSuffix}`;
+async function linkAlias(client, alias, accountConfig, consent) {
+  const linked = await confirmLinkedConsent(client, consent);
+  const accountPatch = await buildLinkedAccountPatch(client, linked.requisition, accountConfig);
+
+  await updateAccountEntry(alias, {
+    ...buildActiveConsentPatch(linked.consent),
+    ...accountPatch,
+  });
+
+  return { ...linked, accountPatch };
 }
 
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
 
   if (options.help) {
@@ -87,6 +114,10 @@ Options:
   --account <alias>       Account alias in config/accounts.json (defaults to GOCARDLESS_ACTIVE_ACCOUNT)
   --institution <id>      Institution ID override
   --redirect <url>        Redirect URL override (defaults to REDIRECT_URL env)
+  --wait                  Wait until the consent is linked and store it on the alias
+  --listen                Catch the bank redirect on REDIRECT_URL, then store the consent on the alias
+  --record <dir>          Save every HTTP exchange (credentials redacted) to <dir>
+  --replay <dir>          Answer HTTP requests from a --record directory instead of the network
   -h, --help              Show this help message
 `);
     return;
@@ -97,11 +128,13 @@ Options:
   const redirect = assertEnv(options.redirect, "REDIRECT_URL");
 
   let institutionId = options.institutionId;
+  let alias = null;
+  let accountConfig = null;
 
-  if (!institutionId) {
+  if (!institutionId || options.wait || options.listen) {
     try {
       const accountsConfig = await loadAccountsConfig();
-      const alias = options.accountAlias;
+      alias = options.accountAlias;
 
       if (!alias) {
         throw new Error(
@@ -109,8 +142,8 @@ Options:
         );
       }
 
-      const accountConfig = resolveAccount(accountsConfig, alias);
-      institutionId = accountConfig.institutionId;
+      accountConfig = resolveAccount(accountsConfig, alias);
+      institutionId = institutionId || accountConfig.institutionId;
     } catch (error) {
       if (error.message.includes("config/accounts.json")) {
         console.error(error.message);
@@ -128,15 +161,22 @@ Options:
     }
   }
 
-  const client = createGocardlessClient({ secretId, secretKey });
-
-  const agreement = await client.createEndUserAgreement({ institutionId });
-  const requisition = await client.createRequisition({
-    redirect,
-    institutionId,
-    reference: buildReference(institutionId),
-    agreementId: agreement.id,
+  const client = createGocardlessClient({
+    secretId,
+    secretKey,
+    baseUrl: process.env.GOCARDLESS_BASE_URL || undefined,
   });
+  const listener = options.listen ? await listenForRedirect(redirect) : null;
+
+  let created;
+  try {
+    created = await createConsent(client, { institutionId, redirect });
+  } catch (error) {
+    listener?.close();
+    throw error;
+  }
+
+  const { agreement, requisition, consent } = created;
 
   console.log("Successfully created end user agreement and requisition\n");
   console.log("Institution:", institutionId);
@@ -144,8 +184,39 @@ Options:
   console.log("Requisition ID:", requisition.id);
   console.log("\nOpen this link to complete the consent:");
   console.log(requisition.link);
+
+  if (!alias) {
+    console.log(
+      "\nRemember to update config/accounts.json (and .env if you keep a fallback) with the new requisition ID."
+    );
+    return;
+  }
+
+  await updateAccountEntry(alias, { pendingConsent: consent });
+
+  if (listener) {
+    console.log(`\nListening on ${listener.url} for the bank redirect...`);
+    const { reference } = await listener.redirect;
+    if (consent.reference && reference !== consent.reference) {
+      throw new Error(
+        `Received redirect for reference ${reference}, expected ${consent.reference}. The pending consent is kept on alias "${alias}".`
+      );
+    }
+  } else if (options.wait) {
+    console.log("\nWaiting for the consent to be completed...");
+  } else {
+    console.log(
+      `\nRecorded the pending consent on alias "${alias}". Once it is completed, run node apps/consents.js activate ${alias} to switch to it.`
+    );
+    return;
+  }
+
+  const linked = await linkAlias(client, alias, accountConfig, consent);
+
   console.log(
-    "\nRemember to update config/accounts.json (and .env if you keep a fallback) with the new requisition ID."
+    `Consent linked. Alias "${alias}" now uses requisition ${linked.consent.requisitionId} and account ${linked.accountPatch.accountId}${
+      linked.accountPatch.iban ? ` (${linked.accountPatch.iban})` : ""
+    }, valid until ${linked.consent.expiresAt}.`
   );
 }
 
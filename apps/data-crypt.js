@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const {
+  decryptEnvelope,
+  encodeJson,
+  generateKey,
+  getEncryptionKey,
+  isEncryptedEnvelope,
+} = require("../core/encryption");
+
+const DEFAULT_TARGETS = [
+  path.join("data", "statements"),
+  path.join("data", "ledger"),
+  path.join("data", "snapshots"),
+];
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    paths: [],
+    keyFile: null,
+    inPlace: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--key-file") {
+      options.keyFile = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--key-file=")) {
+      options.keyFile = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--in-place") {
+      options.inPlace = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+
+    if (!options.command) {
+      options.command = arg;
+    } else {
+      options.paths.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`Usage: node ${path.relative(process.cwd(), __filename)} <command> [options]
+
+Encrypts stored bank data with AES-256-GCM. Tools read encrypted and plaintext files alike
+once DATA_ENCRYPTION_KEY (or DATA_ENCRYPTION_KEY_FILE) is set, and write new files encrypted.
+The SQLite store encrypts payloads and free-text columns and keeps IBAN columns as keyed
+hashes for rows written while a key is set; rows written before that stay plaintext.
+
+Commands:
+  generate-key                 Print a new random key (or write it with --key-file <path>)
+  encrypt [paths...]           Encrypt JSON files in place (defaults to data/statements,
+                               data/ledger and data/snapshots, recursively)
+  decrypt <file>               Print the decrypted JSON to stdout
+  decrypt --in-place [paths]   Rewrite encrypted files as plaintext JSON
+
+Options:
+  --key-file <path>    generate-key: write the key to this file (mode 600)
+  --in-place           decrypt: rewrite the files instead of printing them
+  -h, --help           Show this help
+`);
+}
+
+async function collectJsonFiles(targets) {
+  const files = [];
+
+  for (const target of targets) {
+    let stat;
+    try {
+      stat = await fs.stat(target);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        continue;
+      }
+      throw error;
+    }
+
+    if (stat.isFile()) {
+      files.push(target);
+      continue;
+    }
+
+    const entries = await fs.readdir(target, { withFileTypes: true });
+    const nested = entries.map((entry) => path.join(target, entry.name));
+    files.push(
+      ...(await collectJsonFiles(
+        nested.filter((entryPath, index) => entries[index].isDirectory() || entryPath.endsWith(".json"))
+      ))
+    );
+  }
+
+  return files;
+}
+
+async function rewriteFile(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content, "utf8");
+  await fs.rename(tempPath, filePath);
+}
+
+function requireKey() {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error("Set DATA_ENCRYPTION_KEY or DATA_ENCRYPTION_KEY_FILE first.");
+  }
+  return key;
+}
+
+async function encryptFiles(targets) {
+  const key = requireKey();
+  const files = await collectJsonFiles(targets.length ? targets : DEFAULT_TARGETS);
+  let encrypted = 0;
+
+  for (const filePath of files) {
+    const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (isEncryptedEnvelope(parsed)) {
+      continue;
+    }
+    await rewriteFile(filePath, encodeJson(parsed, { key }));
+    encrypted += 1;
+    console.log(`encrypted ${filePath}`);
+  }
+
+  console.log(`${encrypted} file(s) encrypted, ${files.length - encrypted} already encrypted`);
+}
+
+async function decryptFiles(targets, { inPlace }) {
+  const key = requireKey();
+
+  if (!inPlace) {
+    if (targets.length !== 1) {
+      throw new Error("decrypt prints a single file; pass --in-place to rewrite several files");
+    }
+    const parsed = JSON.parse(await fs.readFile(targets[0], "utf8"));
+    const payload = isEncryptedEnvelope(parsed) ? decryptEnvelope(parsed, key) : parsed;
+    process.stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
+    return;
+  }
+
+  const files = await collectJsonFiles(targets.length ? targets : DEFAULT_TARGETS);
+  let decrypted = 0;
+  for (const filePath of files) {
+    const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (!isEncryptedEnvelope(parsed)) {
+      continue;
+    }
+    await rewriteFile(filePath, encodeJson(decryptEnvelope(parsed, key), { key: null }));
+    decrypted += 1;
+    console.log(`decrypted ${filePath}`);
+  }
+  console.log(`${decrypted} file(s) decrypted`);
+}
+
+async function writeKey(keyFile) {
+  const key = generateKey();
+  if (!keyFile) {
+    console.log(key);
+    return;
+  }
+  await fs.writeFile(keyFile, `${key}\n`, { encoding: "utf8", mode: 0o600, flag: "wx" });
+  console.log(`Wrote a new key to ${keyFile}. Set DATA_ENCRYPTION_KEY_FILE=${keyFile} to use it.`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !options.command) {
+    printHelp();
+    return;
+  }
+
+  switch (options.command) {
+    case "generate-key":
+      await writeKey(options.keyFile);
+      return;
+    case "encrypt":
+      await encryptFiles(options.paths);
+      return;
+    case "decrypt":
+      await decryptFiles(options.paths, options);
+      return;
+    default:
+      throw new Error(`Unknown command "${options.command}". Use --help to list commands.`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Data encryption failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
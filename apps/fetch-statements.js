@@ -1,18 +1,36 @@
 #!/usr/bin/env node
 require("dotenv").config();
 
-const fs = require("fs").promises;
 const path = require("path");
 
-const { createGocardlessClient } = require("../core/gocardless-client");
+const {
+  createGocardlessClient,
+  RateLimitError,
+} = require("../core/gocardless-client");
 const {
   loadAccountsConfig,
   resolveAccount,
 } = require("../core/config");
+const { describeConsentStatus } = require("../core/consent");
+const { extractIban, sanitizeIban } = require("../core/accounts");
+const {
+  fetchTransactionsInWindows,
+  resolveWindowDays,
+} = require("../core/transaction-fetcher");
+const {
+  findLastBookingDate,
+  mergeIntoLedger,
+  saveLedger,
+  syncLedger,
+  trackPending,
+} = require("../core/ledger");
 const {
+  listStatements,
+  readStatements,
   saveStatements,
-  getLatestStatements,
+  statementSourceName,
 } = require("../core/snapshot-store");
+const { installHttpRecorder } = require("../core/http-recorder");
 
 function parseArgs(argv) {
   const options = {
@@ -20,7 +38,13 @@ function parseArgs(argv) {
     accountId: process.env.GOCARDLESS_ACCOUNT_ID || null,
     dateFrom: null,
     dateTo: null,
+    days: process.env.FETCH_DEFAULT_DAYS ? Number(process.env.FETCH_DEFAULT_DAYS) : null,
+    windowDays: process.env.FETCH_WINDOW_DAYS ? Number(process.env.FETCH_WINDOW_DAYS) : null,
     local: false,
+    incremental: false,
+    overlapDays: Number(process.env.FETCH_OVERLAP_DAYS || 7),
+    all: false,
+    concurrency: Number(process.env.FETCH_CONCURRENCY || 2),
     save: true,
     help: false,
   };
@@ -72,11 +96,65 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--days") {
+      options.days = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--days=")) {
+      options.days = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--window-days") {
+      options.windowDays = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--window-days=")) {
+      options.windowDays = Number(arg.split("=")[1]);
+      continue;
+    }
+
     if (arg === "--local") {
       options.local = true;
       continue;
     }
 
+    if (arg === "--incremental") {
+      options.incremental = true;
+      continue;
+    }
+
+    if (arg === "--overlap-days") {
+      options.overlapDays = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--overlap-days=")) {
+      options.overlapDays = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--all") {
+      options.all = true;
+      continue;
+    }
+
+    if (arg === "--concurrency") {
+      options.concurrency = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--concurrency=")) {
+      options.concurrency = Number(arg.split("=")[1]);
+      continue;
+    }
+
     if (arg === "--no-save") {
       options.save = false;
       continue;
@@ -91,10 +169,14 @@ function parseArgs(argv) {
   return options;
 }
 
-function computeDefaultDateRange() {
+function computeDefaultDateRange(days) {
   const today = new Date();
   const past = new Date(today);
-  past.setMonth(today.getMonth() - 3);
+  if (days) {
+    past.setDate(today.getDate() - days);
+  } else {
+    past.setMonth(today.getMonth() - 3);
+  }
 
   return {
     dateFrom: past.toISOString().split("T")[0],
@@ -102,10 +184,6 @@ function computeDefaultDateRange() {
   };
 }
 
-function sanitizeIban(value) {
-  return value ? value.replace(/\s+/g, "").toUpperCase() : null;
-}
-
 async function resolveAccountId(client, accountConfig, explicitAccountId) {
   if (explicitAccountId) {
     return explicitAccountId;
@@ -138,12 +216,7 @@ async function resolveAccountId(client, accountConfig, explicitAccountId) {
 
   for (const accountId of requisition.accounts) {
     const details = await client.getAccountDetails(accountId);
-    const candidateIban = sanitizeIban(
-      details?.account?.iban ||
-        details?.account?.cashAccount?.iban ||
-        details?.account?.details?.iban ||
-        details?.iban
-    );
+    const candidateIban = extractIban(details);
 
     if (candidateIban === targetIban) {
       return accountId;
@@ -155,7 +228,273 @@ async function resolveAccountId(client, accountConfig, explicitAccountId) {
   );
 }
 
+function summariseRateLimits(rateLimits) {
+  return Object.fromEntries(
+    Object.entries(rateLimits).map(([url, rateLimit]) => [
+      url,
+      `${rateLimit.remaining ?? "?"}/${rateLimit.limit ?? "?"} remaining${
+        rateLimit.resetAt ? `, resets at ${rateLimit.resetAt}` : ""
+      }`,
+    ])
+  );
+}
+
+const BALANCE_TYPE_PREFERENCE = ["closingBooked", "interimBooked", "interimAvailable", "expected"];
+
+function pickBalance(balances) {
+  const list = Array.isArray(balances?.balances) ? balances.balances : [];
+  for (const type of BALANCE_TYPE_PREFERENCE) {
+    const match = list.find((balance) => balance.balanceType === type);
+    if (match) {
+      return match;
+    }
+  }
+  return list[0] || null;
+}
+
+function describeFailure(error) {
+  if (error instanceof RateLimitError) {
+    return `rate limited${error.resetAt ? ` until ${error.resetAt}` : ""}`;
+  }
+  const detail = error.response?.data?.detail || error.response?.data?.summary;
+  return detail ? `${error.message}: ${detail}` : error.message;
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  async function run() {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, run));
+  return results;
+}
+
+function prepareAccount(accountsConfig, alias) {
+  const accountConfig = resolveAccount(accountsConfig, alias);
+
+  if (!accountConfig.requisitionId) {
+    throw new Error(
+      `Account alias "${alias}" is missing requisitionId in config/accounts.json`
+    );
+  }
+
+  const consentStatus = describeConsentStatus(accountConfig);
+  if (consentStatus.state === "expired") {
+    throw new Error(
+      `Consent for alias "${alias}" expired on ${consentStatus.expiresAt}. Renew it with node apps/consents.js renew ${alias}`
+    );
+  }
+
+  if (consentStatus.state === "expiring") {
+    console.warn(
+      `Consent for alias "${alias}" expires in ${consentStatus.daysLeft} day(s); renew it with node apps/consents.js renew ${alias}`
+    );
+  }
+
+  return accountConfig;
+}
+
+function shiftIsoDate(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+function formatPendingEntry(entry) {
+  return `${entry.date || "?"} ${entry.amount ?? "?"} ${entry.currency || ""} ${
+    entry.counterparty || entry.reference || ""
+  }`.replace(/\s+/g, " ").trim();
+}
+
+function reportPendingEvents(alias, events) {
+  events.booked.forEach((entry) => {
+    console.log(`${alias}: pending ${formatPendingEntry(entry)} is now booked`);
+  });
+  events.changed.forEach((entry) => {
+    console.warn(`${alias}: pending ${formatPendingEntry(entry)} changed amount to ${entry.newAmount}`);
+  });
+  events.vanished.forEach((entry) => {
+    console.warn(`${alias}: pending ${formatPendingEntry(entry)} disappeared without booking`);
+  });
+  if (events.added.length) {
+    console.log(`${alias}: ${events.added.length} new pending transaction(s)`);
+  }
+}
+
+async function fetchAccountStatements(client, alias, accountConfig, options) {
+  const ledger = options.incremental
+    ? (await syncLedger(alias, { accountId: accountConfig.accountId, save: options.save })).ledger
+    : null;
+  const lastBookingDate = ledger ? findLastBookingDate(ledger.transactions) : null;
+  const incrementalFrom =
+    options.incremental && lastBookingDate ? shiftIsoDate(lastBookingDate, -options.overlapDays) : null;
+
+  const { dateFrom, dateTo } = {
+    ...computeDefaultDateRange(options.days),
+    ...(incrementalFrom ? { dateFrom: incrementalFrom } : {}),
+    ...(options.dateFrom ? { dateFrom: options.dateFrom } : {}),
+    ...(options.dateTo ? { dateTo: options.dateTo } : {}),
+  };
+
+  const accountId = await resolveAccountId(client, accountConfig, options.accountId);
+  const { windowDays, totalDays } = await resolveWindowDays(
+    client,
+    accountConfig.institutionId,
+    options.windowDays || accountConfig.maxWindowDays
+  );
+
+  if (totalDays && new Date(dateFrom) < new Date(Date.now() - totalDays * 24 * 60 * 60 * 1000)) {
+    console.warn(
+      `${alias}: ${accountConfig.institutionId} only keeps ${totalDays} day(s) of history; windows before that may fail or come back empty.`
+    );
+  }
+
+  const [details, balances, { transactions, windows }] = await Promise.all([
+    client.getAccountDetails(accountId),
+    client.getAccountBalances(accountId),
+    fetchTransactionsInWindows(client, accountId, { dateFrom, dateTo, windowDays }),
+  ]);
+
+  const result = {
+    fetchedAt: new Date().toISOString(),
+    accountAlias: alias,
+    institutionId: accountConfig.institutionId,
+    requisitionId: accountConfig.requisitionId,
+    accountId,
+    dateFrom,
+    dateTo,
+    windows,
+    details,
+    balances,
+    transactions,
+  };
+
+  console.log(`Fetched statements for ${alias} (${accountId}) from ${dateFrom} to ${dateTo}`);
+
+  const failedWindows = windows.filter((window) => window.status !== "ok");
+  if (windows.length > 1 || failedWindows.length) {
+    console.log(
+      `${alias}: ${windows.length - failedWindows.length} of ${windows.length} window(s) of up to ${windowDays} day(s) fetched`
+    );
+    failedWindows.forEach((window) => {
+      console.warn(`  ${window.status} ${window.dateFrom} -> ${window.dateTo}: ${window.error}`);
+    });
+  }
+
+  let filePath = null;
+  if (options.save) {
+    filePath = await saveStatements(`statements_${alias}`, result);
+    console.log(`Saved statements to ${filePath}`);
+  }
+
+  let ledgerUpdate = null;
+  if (ledger && options.save) {
+    const merged = mergeIntoLedger(ledger, transactions?.transactions?.booked || [], {
+      accountId,
+      source: statementSourceName(filePath),
+    });
+    const tracked = trackPending(merged.ledger, {
+      pending: transactions?.transactions?.pending || [],
+      windows,
+      observedAt: result.fetchedAt,
+    });
+    const ledgerFile = await saveLedger(tracked.ledger);
+    ledgerUpdate = {
+      since: lastBookingDate,
+      added: merged.added.length,
+      total: merged.ledger.transactions.length,
+      pending: tracked.events,
+    };
+    console.log(
+      `${alias}: ${ledgerUpdate.added} new booked transaction(s) since ${
+        lastBookingDate || dateFrom
+      }; ledger now holds ${ledgerUpdate.total} -> ${ledgerFile}`
+    );
+    reportPendingEvents(alias, tracked.events);
+  }
+
+  return { result, filePath, ledgerUpdate };
+}
+
+function printSummaryTable(rows) {
+  const headers = ["Alias", "Status", "Balance", "Booked", "Pending", "Details"];
+  const lines = rows.map((row) => [
+    row.alias,
+    row.status,
+    row.balance || "-",
+    row.booked === null ? "-" : String(row.booked),
+    row.pending === null ? "-" : String(row.pending),
+    row.details || "",
+  ]);
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...lines.map((line) => line[column].length))
+  );
+  const format = (line) => line.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+
+  console.log(`\n${format(headers)}`);
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  lines.forEach((line) => console.log(format(line)));
+}
+
+async function fetchAllAccounts(client, accountsConfig, options) {
+  const aliases = Object.keys(accountsConfig);
+
+  const rows = await mapWithConcurrency(aliases, options.concurrency, async (alias) => {
+    try {
+      const accountConfig = prepareAccount(accountsConfig, alias);
+      const { result, filePath, ledgerUpdate } = await fetchAccountStatements(client, alias, accountConfig, {
+        ...options,
+        accountId: null,
+      });
+      const balance = pickBalance(result.balances);
+
+      return {
+        alias,
+        status: "ok",
+        balance: balance
+          ? `${balance.balanceAmount?.amount} ${balance.balanceAmount?.currency || ""}`.trim()
+          : null,
+        booked: result.transactions?.transactions?.booked?.length || 0,
+        pending: result.transactions?.transactions?.pending?.length || 0,
+        details: [
+          ledgerUpdate ? `+${ledgerUpdate.added} new` : null,
+          filePath ? path.relative(process.cwd(), filePath) : null,
+        ]
+          .filter(Boolean)
+          .join(" "),
+      };
+    } catch (error) {
+      console.error(`Failed to fetch statements for ${alias}: ${describeFailure(error)}`);
+      return {
+        alias,
+        status: "failed",
+        balance: null,
+        booked: null,
+        pending: null,
+        details: describeFailure(error),
+      };
+    }
+  });
+
+  printSummaryTable(rows);
+
+  const failed = rows.filter((row) => row.status !== "ok").length;
+  console.log(`\n${rows.length - failed} of ${rows.length} account(s) fetched.`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
 
   if (options.help) {
@@ -167,26 +506,38 @@ async function main() {
 Options:
   --account <alias>    Account alias in config/accounts.json (defaults to GOCARDLESS_ACTIVE_ACCOUNT)
   --account-id <uuid>  Override account ID directly
+  --all                Fetch every alias in config/accounts.json
+  --concurrency <n>    Number of aliases fetched in parallel with --all (default: 2)
   --from <YYYY-MM-DD>  Start date (defaults to 3 months ago)
   --to <YYYY-MM-DD>    End date (defaults to today)
-  --local              Replay the latest saved statement instead of calling the API
-  --no-save            Do not write a new statements file (API mode only)
+  --days <n>           Default range length in days when --from is omitted
+  --window-days <n>    Split the range into windows of at most n days (defaults to the institution's history limit)
+  --incremental        Fetch only since the newest booking in data/ledger (minus an overlap) and merge into it
+  --overlap-days <n>   Days re-fetched before the newest stored booking with --incremental (default: 7)
+  --local              Replay the latest saved statement for the alias instead of calling the API
+  --no-save            Do not write a new statements file or update data/ledger (API mode only)
+  --record <dir>       Save every HTTP exchange (credentials redacted) to <dir>
+  --replay <dir>       Answer HTTP requests from a --record directory instead of the network
   -h, --help           Show this help
 `);
     return;
   }
 
   if (options.local) {
-    const latest = await getLatestStatements();
+    const entries = await listStatements(options.accountAlias ? { alias: options.accountAlias } : {});
+    const latest = entries[entries.length - 1];
     if (!latest) {
-      console.log("No saved statements found in data/statements");
+      console.log(
+        options.accountAlias
+          ? `No saved statements found for "${options.accountAlias}"`
+          : "No saved statements found"
+      );
       return;
     }
 
-    const content = await fs.readFile(latest, "utf8");
-    const parsed = JSON.parse(content);
+    const parsed = await readStatements(latest);
 
-    console.log(`Loaded statements from ${latest}`);
+    console.log(`Loaded statements from ${latest.filePath}`);
     console.log(JSON.stringify(parsed.summary || parsed, null, 2));
     return;
   }
@@ -204,62 +555,36 @@ Options:
   }
 
   const accountsConfig = await loadAccountsConfig();
-  const alias = options.accountAlias;
-
-  if (!alias) {
-    throw new Error(
-      "No account alias specified. Use --account or set GOCARDLESS_ACTIVE_ACCOUNT."
-    );
+  const client = createGocardlessClient({
+    secretId,
+    secretKey,
+    baseUrl: process.env.GOCARDLESS_BASE_URL || undefined,
+  });
+
+  if (options.all) {
+    await fetchAllAccounts(client, accountsConfig, options);
+    return;
   }
 
-  const accountConfig = resolveAccount(accountsConfig, alias);
+  const alias = options.accountAlias;
 
-  if (!accountConfig.requisitionId) {
+  if (!alias) {
     throw new Error(
-      `Account alias "${alias}" is missing requisitionId in config/accounts.json`
+      "No account alias specified. Use --account, --all or set GOCARDLESS_ACTIVE_ACCOUNT."
     );
   }
 
-  const client = createGocardlessClient({ secretId, secretKey });
-
-  const { dateFrom, dateTo } = {
-    ...computeDefaultDateRange(),
-    ...(options.dateFrom ? { dateFrom: options.dateFrom } : {}),
-    ...(options.dateTo ? { dateTo: options.dateTo } : {}),
-  };
-
-  const accountId = await resolveAccountId(client, accountConfig, options.accountId);
-  const [details, balances, transactions] = await Promise.all([
-    client.getAccountDetails(accountId),
-    client.getAccountBalances(accountId),
-    client.getAccountTransactions(accountId, { dateFrom, dateTo }),
-  ]);
-
-  const result = {
-    fetchedAt: new Date().toISOString(),
-    accountAlias: alias,
-    institutionId: accountConfig.institutionId,
-    requisitionId: accountConfig.requisitionId,
-    accountId,
-    dateFrom,
-    dateTo,
-    details,
-    balances,
-    transactions,
-  };
-
-  console.log(`Fetched statements for ${alias} (${accountId}) from ${dateFrom} to ${dateTo}`);
-
-  if (options.save) {
-    const filePath = await saveStatements(`statements_${alias}`, result);
-    console.log(`Saved statements to ${filePath}`);
-  }
+  const accountConfig = prepareAccount(accountsConfig, alias);
+  const { result, ledgerUpdate } = await fetchAccountStatements(client, alias, accountConfig, options);
 
   console.log(
     JSON.stringify(
       {
-        balances: balances.balances || balances,
-        bookedTransactions: transactions?.transactions?.booked?.length || 0,
+        balances: result.balances.balances || result.balances,
+        bookedTransactions: result.transactions?.transactions?.booked?.length || 0,
+        pendingTransactions: result.transactions?.transactions?.pending?.length || 0,
+        ...(ledgerUpdate ? { newBookedTransactions: ledgerUpdate.added } : {}),
+        rateLimits: summariseRateLimits(client.getRateLimits()),
       },
       null,
       2
@@ -269,7 +594,13 @@ Options:
 
 main().catch((error) => {
   console.error("Failed to fetch statements:");
-  if (error.response?.data) {
+  if (error instanceof RateLimitError) {
+    console.error(
+      `GoCardless daily request limit reached for ${error.url}.${
+        error.resetAt ? ` Try again after ${error.resetAt}.` : ""
+      }`
+    );
+  } else if (error.response?.data) {
     console.error(JSON.stringify(error.response.data, null, 2));
   } else {
     console.error(error.message);
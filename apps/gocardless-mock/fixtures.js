@@ -0,0 +1,147 @@
+const RENT_PAYERS = [
+  { amount: "590.00", name: "Tenant Unit 1", iban: "BE71096123456769", label: "Unit 1" },
+  { amount: "565.00", name: "Tenant Unit 2", iban: "BE62510007547061", label: "Unit 2" },
+  { amount: "565.00", name: "Tenant Unit 3", iban: "BE43068999999501", label: "Unit 3" },
+  { amount: "540.00", name: "Tenant Unit 4", iban: "BE68539007547034", label: "Unit 4" },
+];
+
+const institutions = [
+  {
+    id: "BELFIUS_GKCCBEBB",
+    name: "Belfius",
+    bic: "GKCCBEBB",
+    transaction_total_days: "540",
+    max_access_valid_for_days: "180",
+    countries: ["BE"],
+    logo: "",
+    supported_features: ["account_selection", "business_accounts", "pending_transactions"],
+  },
+  {
+    id: "BNP_BE_GEBABEBB",
+    name: "BNP Paribas Fortis",
+    bic: "GEBABEBB",
+    transaction_total_days: "365",
+    max_access_valid_for_days: "180",
+    countries: ["BE"],
+    logo: "",
+    supported_features: ["business_accounts"],
+  },
+  {
+    id: "ING_BE_BBRUBEBB",
+    name: "ING Belgium",
+    bic: "BBRUBEBB",
+    transaction_total_days: "730",
+    max_access_valid_for_days: "90",
+    countries: ["BE"],
+    logo: "",
+    supported_features: [],
+  },
+];
+
+const accounts = [
+  {
+    id: "mock-account-belfius-current",
+    institutionId: "BELFIUS_GKCCBEBB",
+    iban: "BE00000000000000",
+    name: "Compte courant",
+    ownerName: "Mock Owner",
+    currency: "EUR",
+    openingBalance: 2500,
+    rent: true,
+  },
+  {
+    id: "mock-account-belfius-savings",
+    institutionId: "BELFIUS_GKCCBEBB",
+    iban: "BE11000000000048",
+    name: "Compte épargne",
+    ownerName: "Mock Owner",
+    currency: "EUR",
+    openingBalance: 10000,
+    rent: false,
+  },
+  {
+    id: "mock-account-bnppf-current",
+    institutionId: "BNP_BE_GEBABEBB",
+    iban: "BE39001751511519",
+    name: "Compte à vue",
+    ownerName: "Mock Owner",
+    currency: "EUR",
+    openingBalance: 4800,
+    rent: false,
+  },
+];
+
+function isoDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function addDays(date, days) {
+  const copy = new Date(date);
+  copy.setUTCDate(copy.getUTCDate() + days);
+  return copy;
+}
+
+function buildTransactions(account, { today = new Date(), months = 24 } = {}) {
+  const booked = [];
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - months, 1));
+  let sequence = 0;
+
+  const push = (date, amount, fields) => {
+    sequence += 1;
+    booked.push({
+      transactionId: `${account.id}-${String(sequence).padStart(5, "0")}`,
+      internalTransactionId: `int-${account.id}-${sequence}`,
+      bookingDate: isoDay(date),
+      valueDate: isoDay(date),
+      transactionAmount: { amount, currency: account.currency },
+      ...fields,
+    });
+  };
+
+  for (let cursor = start; cursor <= today; cursor = addDays(cursor, 1)) {
+    const day = cursor.getUTCDate();
+
+    const payer = account.rent ? RENT_PAYERS[day - 2] : null;
+    if (payer) {
+      push(cursor, payer.amount, {
+        debtorName: payer.name,
+        debtorAccount: { iban: payer.iban },
+        remittanceInformationUnstructured: `Loyer ${payer.label} ${isoDay(cursor).slice(0, 7)}`,
+      });
+    }
+
+    if (day === 10) {
+      push(cursor, "-74.35", {
+        creditorName: "Electrabel",
+        creditorAccount: { iban: "BE46000325448336" },
+        remittanceInformationUnstructured: `Facture energie ${isoDay(cursor).slice(0, 7)}`,
+      });
+    }
+
+    if (day === 20) {
+      push(cursor, "-12.50", {
+        creditorName: "Bank fees",
+        remittanceInformationUnstructured: "Frais de gestion",
+      });
+    }
+  }
+
+  const pending = account.rent
+    ? [
+        {
+          valueDate: isoDay(today),
+          transactionAmount: { amount: RENT_PAYERS[0].amount, currency: account.currency },
+          debtorName: RENT_PAYERS[0].name,
+          remittanceInformationUnstructured: `Loyer ${RENT_PAYERS[0].label} ${isoDay(today).slice(0, 7)}`,
+        },
+      ]
+    : [];
+
+  return { booked: booked.reverse(), pending };
+}
+
+module.exports = {
+  accounts,
+  buildTransactions,
+  institutions,
+};
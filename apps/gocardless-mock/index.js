@@ -0,0 +1,630 @@
+#!/usr/bin/env node
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+
+const fixtures = require("./fixtures");
+
+const API_PREFIX = "/api/v2";
+const DEFAULT_PORT = 4010;
+const ACCESS_EXPIRES_SECONDS = 24 * 60 * 60;
+const REFRESH_EXPIRES_SECONDS = 30 * 24 * 60 * 60;
+const PAGE_SIZE = 100;
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.GOCARDLESS_MOCK_PORT || DEFAULT_PORT),
+    dailyLimit: null,
+    expireAll: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--port" || arg === "-p") {
+      options.port = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--port=")) {
+      options.port = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--daily-limit") {
+      options.dailyLimit = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--daily-limit=")) {
+      options.dailyLimit = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--expired") {
+      options.expireAll = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function httpError(statusCode, summary, detail) {
+  const error = new Error(summary);
+  error.statusCode = statusCode;
+  error.body = { summary, detail: detail || summary, status_code: statusCode };
+  return error;
+}
+
+function addDays(date, days) {
+  const copy = new Date(date);
+  copy.setUTCDate(copy.getUTCDate() + days);
+  return copy;
+}
+
+function paginate(items, query, baseUrl) {
+  const limit = Number(query.get("limit") || PAGE_SIZE);
+  const offset = Number(query.get("offset") || 0);
+  const results = items.slice(offset, offset + limit);
+  const nextOffset = offset + results.length;
+
+  return {
+    count: items.length,
+    next: nextOffset < items.length ? `${baseUrl}?limit=${limit}&offset=${nextOffset}` : null,
+    previous: offset > 0 ? `${baseUrl}?limit=${limit}&offset=${Math.max(0, offset - limit)}` : null,
+    results,
+  };
+}
+
+function createMockState({ expireAll = false, now = new Date() } = {}) {
+  const accounts = new Map(
+    fixtures.accounts.map((account) => [
+      account.id,
+      { ...account, transactions: fixtures.buildTransactions(account, { today: now }) },
+    ])
+  );
+
+  const state = {
+    tokens: new Map(),
+    refreshTokens: new Map(),
+    agreements: new Map(),
+    requisitions: new Map(),
+    accounts,
+    usage: new Map(),
+  };
+
+  function seedConsent({ id, institutionId, acceptedDaysAgo, validDays, status }) {
+    const accepted = addDays(now, -acceptedDaysAgo).toISOString();
+    const agreementId = `${id}-agreement`;
+    state.agreements.set(agreementId, {
+      id: agreementId,
+      created: accepted,
+      institution_id: institutionId,
+      max_historical_days: 540,
+      access_valid_for_days: validDays,
+      access_scope: ["balances", "details", "transactions"],
+      accepted,
+    });
+    state.requisitions.set(id, {
+      id,
+      created: accepted,
+      redirect: "http://localhost:3000/callback",
+      status: expireAll ? "EX" : status,
+      institution_id: institutionId,
+      agreement: agreementId,
+      reference: `${institutionId.toLowerCase()}_${id}`,
+      accounts: fixtures.accounts
+        .filter((account) => account.institutionId === institutionId)
+        .map((account) => account.id),
+      user_language: "EN",
+      link: null,
+    });
+  }
+
+  seedConsent({
+    id: "mock-requisition-belfius",
+    institutionId: "BELFIUS_GKCCBEBB",
+    acceptedDaysAgo: 80,
+    validDays: 90,
+    status: "LN",
+  });
+  seedConsent({
+    id: "mock-requisition-bnppf",
+    institutionId: "BNP_BE_GEBABEBB",
+    acceptedDaysAgo: 10,
+    validDays: 90,
+    status: "LN",
+  });
+  seedConsent({
+    id: "mock-requisition-expired",
+    institutionId: "BELFIUS_GKCCBEBB",
+    acceptedDaysAgo: 200,
+    validDays: 90,
+    status: "EX",
+  });
+
+  return state;
+}
+
+function issueTokens(state) {
+  const access = crypto.randomBytes(16).toString("hex");
+  const refresh = crypto.randomBytes(16).toString("hex");
+  state.tokens.set(access, Date.now() + ACCESS_EXPIRES_SECONDS * 1000);
+  state.refreshTokens.set(refresh, Date.now() + REFRESH_EXPIRES_SECONDS * 1000);
+  return { access, refresh };
+}
+
+function assertAuthorised(state, request) {
+  const header = request.headers.authorization || "";
+  const token = header.replace(/^Bearer\s+/i, "");
+  const expiresAt = state.tokens.get(token);
+
+  if (!expiresAt || expiresAt < Date.now()) {
+    throw httpError(401, "Invalid token", "Token is invalid or expired");
+  }
+}
+
+function findAccountRequisition(state, accountId) {
+  return Array.from(state.requisitions.values()).find((requisition) =>
+    requisition.accounts.includes(accountId)
+  );
+}
+
+function isAgreementExpired(agreement, now = new Date()) {
+  if (!agreement?.accepted) {
+    return false;
+  }
+  return addDays(new Date(agreement.accepted), Number(agreement.access_valid_for_days)) <= now;
+}
+
+function assertAccountAccess(state, accountId) {
+  const account = state.accounts.get(accountId);
+  if (!account) {
+    throw httpError(404, "Account not found", `Account ID ${accountId} not found`);
+  }
+
+  const live = Array.from(state.requisitions.values()).some(
+    (requisition) =>
+      requisition.accounts.includes(accountId) &&
+      requisition.status === "LN" &&
+      !isAgreementExpired(state.agreements.get(requisition.agreement))
+  );
+
+  if (!live) {
+    const requisition = findAccountRequisition(state, accountId);
+    if (requisition) {
+      requisition.status = "EX";
+    }
+    throw httpError(
+      401,
+      "Access has expired or it has been revoked.",
+      "End User Agreement (EUA) has expired or been revoked. Create a new requisition to continue."
+    );
+  }
+
+  return account;
+}
+
+function applyRateLimit(state, response, accountId, scope, dailyLimit) {
+  if (!dailyLimit) {
+    return;
+  }
+
+  const key = `${accountId}:${scope}`;
+  const used = state.usage.get(key) || 0;
+  const endOfDay = new Date();
+  endOfDay.setUTCHours(24, 0, 0, 0);
+  const resetSeconds = Math.ceil((endOfDay.getTime() - Date.now()) / 1000);
+
+  response.setHeader("HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_LIMIT", String(dailyLimit));
+  response.setHeader("HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_REMAINING", String(Math.max(0, dailyLimit - used - 1)));
+  response.setHeader("HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_RESET", String(resetSeconds));
+
+  if (used >= dailyLimit) {
+    response.setHeader("HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_REMAINING", "0");
+    throw httpError(
+      429,
+      "Rate limit exceeded",
+      `The daily limit of ${dailyLimit} requests for ${scope} on account ${accountId} was reached. Try again in ${resetSeconds} seconds.`
+    );
+  }
+
+  state.usage.set(key, used + 1);
+}
+
+function computeBalances(account) {
+  const bookedTotal = account.transactions.booked.reduce(
+    (sum, transaction) => sum + Number(transaction.transactionAmount.amount),
+    account.openingBalance
+  );
+  const pendingTotal = account.transactions.pending.reduce(
+    (sum, transaction) => sum + Number(transaction.transactionAmount.amount),
+    0
+  );
+  const referenceDate = new Date().toISOString().split("T")[0];
+
+  return {
+    balances: [
+      {
+        balanceAmount: { amount: bookedTotal.toFixed(2), currency: account.currency },
+        balanceType: "closingBooked",
+        referenceDate,
+      },
+      {
+        balanceAmount: { amount: (bookedTotal + pendingTotal).toFixed(2), currency: account.currency },
+        balanceType: "interimAvailable",
+        referenceDate,
+      },
+    ],
+  };
+}
+
+function filterTransactions(account, query) {
+  const dateFrom = query.get("date_from");
+  const dateTo = query.get("date_to");
+  const institution = fixtures.institutions.find((entry) => entry.id === account.institutionId);
+  const totalDays = Number(institution?.transaction_total_days || 0);
+
+  if (dateFrom && totalDays) {
+    const earliest = addDays(new Date(), -totalDays).toISOString().split("T")[0];
+    if (dateFrom < earliest) {
+      throw httpError(
+        400,
+        "Date too far in the past",
+        `date_from must be on or after ${earliest} for ${account.institutionId}`
+      );
+    }
+  }
+
+  const inRange = (transaction) => {
+    const date = transaction.bookingDate || transaction.valueDate;
+    return (!dateFrom || date >= dateFrom) && (!dateTo || date <= dateTo);
+  };
+
+  return {
+    transactions: {
+      booked: account.transactions.booked.filter(inRange),
+      pending: account.transactions.pending.filter(inRange),
+    },
+  };
+}
+
+function createRoutes(state, options) {
+  return [
+    {
+      method: "POST",
+      pattern: /^\/token\/new\/$/,
+      public: true,
+      handle({ body }) {
+        if (!body.secret_id || !body.secret_key) {
+          throw httpError(400, "Invalid secrets", "secret_id and secret_key are required");
+        }
+        return {
+          ...issueTokens(state),
+          access_expires: ACCESS_EXPIRES_SECONDS,
+          refresh_expires: REFRESH_EXPIRES_SECONDS,
+        };
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/token\/refresh\/$/,
+      public: true,
+      handle({ body }) {
+        const expiresAt = state.refreshTokens.get(body.refresh);
+        if (!expiresAt || expiresAt < Date.now()) {
+          throw httpError(401, "Invalid refresh token", "Refresh token is invalid or expired");
+        }
+        const { access } = issueTokens(state);
+        return { access, access_expires: ACCESS_EXPIRES_SECONDS };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/institutions\/$/,
+      handle({ query }) {
+        const country = (query.get("country") || "").toUpperCase();
+        return fixtures.institutions
+          .filter((institution) => !country || institution.countries.includes(country))
+          .map(({ supported_features: features, ...institution }) => institution);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/institutions\/([^/]+)\/$/,
+      handle({ params }) {
+        const institution = fixtures.institutions.find((entry) => entry.id === params[0]);
+        if (!institution) {
+          throw httpError(404, "Not found", `Institution ${params[0]} not found`);
+        }
+        return institution;
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/agreements\/enduser\/$/,
+      handle({ query, url }) {
+        return paginate(Array.from(state.agreements.values()), query, url);
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/agreements\/enduser\/$/,
+      handle({ body }) {
+        if (!fixtures.institutions.some((entry) => entry.id === body.institution_id)) {
+          throw httpError(400, "Unknown institution", `Institution ${body.institution_id} not found`);
+        }
+        const agreement = {
+          id: crypto.randomUUID(),
+          created: new Date().toISOString(),
+          institution_id: body.institution_id,
+          max_historical_days: Number(body.max_historical_days || 90),
+          access_valid_for_days: Number(body.access_valid_for_days || 90),
+          access_scope: body.access_scope || ["balances", "details", "transactions"],
+          accepted: null,
+        };
+        state.agreements.set(agreement.id, agreement);
+        return agreement;
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/agreements\/enduser\/([^/]+)\/$/,
+      handle({ params }) {
+        const agreement = state.agreements.get(params[0]);
+        if (!agreement) {
+          throw httpError(404, "Not found", `Agreement ${params[0]} not found`);
+        }
+        return agreement;
+      },
+    },
+    {
+      method: "DELETE",
+      pattern: /^\/agreements\/enduser\/([^/]+)\/$/,
+      handle({ params }) {
+        if (!state.agreements.delete(params[0])) {
+          throw httpError(404, "Not found", `Agreement ${params[0]} not found`);
+        }
+        return { summary: "End User Agreement deleted", detail: `End User Agreement ${params[0]} deleted` };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/requisitions\/$/,
+      handle({ query, url }) {
+        return paginate(Array.from(state.requisitions.values()), query, url);
+      },
+    },
+    {
+      method: "POST",
+      pattern: /^\/requisitions\/$/,
+      handle({ body, origin }) {
+        const agreement = state.agreements.get(body.agreement);
+        if (!agreement) {
+          throw httpError(400, "Unknown agreement", `Agreement ${body.agreement} not found`);
+        }
+        const id = crypto.randomUUID();
+        const requisition = {
+          id,
+          created: new Date().toISOString(),
+          redirect: body.redirect,
+          status: "CR",
+          institution_id: body.institution_id,
+          agreement: body.agreement,
+          reference: body.reference,
+          accounts: [],
+          user_language: body.user_language || "EN",
+          link: `${origin}/link/${id}`,
+        };
+        state.requisitions.set(id, requisition);
+        return requisition;
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/requisitions\/([^/]+)\/$/,
+      handle({ params }) {
+        const requisition = state.requisitions.get(params[0]);
+        if (!requisition) {
+          throw httpError(404, "Not found", `Requisition ${params[0]} not found`);
+        }
+        return requisition;
+      },
+    },
+    {
+      method: "DELETE",
+      pattern: /^\/requisitions\/([^/]+)\/$/,
+      handle({ params }) {
+        if (!state.requisitions.delete(params[0])) {
+          throw httpError(404, "Not found", `Requisition ${params[0]} not found`);
+        }
+        return { summary: "Requisition deleted", detail: `Requisition ${params[0]} deleted with all its End User Agreements` };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/accounts\/([^/]+)\/details\/$/,
+      handle({ params, response }) {
+        const account = assertAccountAccess(state, params[0]);
+        applyRateLimit(state, response, account.id, "details", options.dailyLimit);
+        return {
+          account: {
+            resourceId: account.id,
+            iban: account.iban,
+            currency: account.currency,
+            ownerName: account.ownerName,
+            name: account.name,
+          },
+        };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/accounts\/([^/]+)\/balances\/$/,
+      handle({ params, response }) {
+        const account = assertAccountAccess(state, params[0]);
+        applyRateLimit(state, response, account.id, "balances", options.dailyLimit);
+        return computeBalances(account);
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/accounts\/([^/]+)\/transactions\/$/,
+      handle({ params, query, response }) {
+        const account = assertAccountAccess(state, params[0]);
+        applyRateLimit(state, response, account.id, "transactions", options.dailyLimit);
+        return filterTransactions(account, query);
+      },
+    },
+  ];
+}
+
+function completeLink(state, requisitionId, response) {
+  const requisition = state.requisitions.get(requisitionId);
+  if (!requisition) {
+    response.writeHead(404, { "Content-Type": "text/plain" });
+    response.end("Unknown requisition");
+    return;
+  }
+
+  requisition.status = "LN";
+  requisition.accounts = fixtures.accounts
+    .filter((account) => account.institutionId === requisition.institution_id)
+    .map((account) => account.id);
+
+  const agreement = state.agreements.get(requisition.agreement);
+  if (agreement) {
+    agreement.accepted = new Date().toISOString();
+  }
+
+  const target = new URL(requisition.redirect);
+  target.searchParams.set("ref", requisition.reference);
+  response.writeHead(302, { Location: target.toString() });
+  response.end();
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    request.on("data", (chunk) => {
+      raw += chunk;
+    });
+    request.on("end", () => {
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(httpError(400, "Invalid JSON body"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function createMockServer(options = {}) {
+  const state = createMockState(options);
+  const routes = createRoutes(state, options);
+
+  const server = http.createServer(async (request, response) => {
+    const origin = `http://${request.headers.host}`;
+    const url = new URL(request.url, origin);
+
+    const linkMatch = url.pathname.match(/^\/link\/([^/]+)$/);
+    if (linkMatch && request.method === "GET") {
+      completeLink(state, linkMatch[1], response);
+      return;
+    }
+
+    try {
+      if (!url.pathname.startsWith(`${API_PREFIX}/`)) {
+        throw httpError(404, "Not found", `No mock for ${url.pathname}`);
+      }
+
+      const routePath = url.pathname.slice(API_PREFIX.length);
+      const route = routes.find(
+        (candidate) => candidate.method === request.method && candidate.pattern.test(routePath)
+      );
+
+      if (!route) {
+        throw httpError(404, "Not found", `No mock for ${request.method} ${routePath}`);
+      }
+
+      if (!route.public) {
+        assertAuthorised(state, request);
+      }
+
+      const body = await readBody(request);
+      const payload = route.handle({
+        body,
+        query: url.searchParams,
+        params: routePath.match(route.pattern).slice(1),
+        url: `${origin}${url.pathname}`,
+        origin,
+        response,
+      });
+
+      response.writeHead(request.method === "POST" && !route.public ? 201 : 200, {
+        "Content-Type": "application/json",
+      });
+      response.end(JSON.stringify(payload));
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      response.writeHead(statusCode, { "Content-Type": "application/json" });
+      response.end(
+        JSON.stringify(error.body || { summary: "Mock server error", detail: error.message, status_code: 500 })
+      );
+    }
+  });
+
+  return { server, state };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Serves an offline stand-in for the GoCardless Bank Account Data endpoints used by
+core/gocardless-client.js. Point the scripts at it with
+GOCARDLESS_BASE_URL=http://localhost:<port>${API_PREFIX} (any secret ID/key is accepted).
+
+Seeded requisitions: mock-requisition-belfius (linked, expires in 10 days),
+mock-requisition-bnppf (linked) and mock-requisition-expired (expired).
+Visiting a requisition link completes the consent and redirects with ?ref=.
+
+Options:
+  --port <n>           Port to listen on (default: ${DEFAULT_PORT} or GOCARDLESS_MOCK_PORT)
+  --daily-limit <n>    Answer 429 after n requests per account and endpoint
+  --expired            Start with every seeded consent expired
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const { server } = createMockServer(options);
+  server.listen(options.port, () => {
+    console.log(`GoCardless mock listening on http://localhost:${options.port}${API_PREFIX}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  API_PREFIX,
+  createMockServer,
+};
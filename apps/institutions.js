@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+
+const { createGocardlessClient } = require("../core/gocardless-client");
+const { updateAccountEntry } = require("../core/config");
+const { installHttpRecorder } = require("../core/http-recorder");
+
+const DETAIL_LOOKUP_LIMIT = 5;
+
+function parseArgs(argv) {
+  const options = {
+    country: process.env.GOCARDLESS_COUNTRY || "BE",
+    search: null,
+    institutionId: null,
+    writeAlias: null,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--country" || arg === "-c") {
+      options.country = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--country=")) {
+      options.country = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--search" || arg === "-s") {
+      options.search = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--search=")) {
+      options.search = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--id") {
+      options.institutionId = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--id=")) {
+      options.institutionId = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--write") {
+      options.writeAlias = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--write=")) {
+      options.writeAlias = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function normaliseSearchText(value) {
+  return (value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function matchesSearch(institution, search) {
+  if (!search) {
+    return true;
+  }
+
+  const needle = normaliseSearchText(search);
+  return [institution.name, institution.bic, institution.id].some((candidate) =>
+    normaliseSearchText(candidate).includes(needle)
+  );
+}
+
+function describeInstitution(institution) {
+  const features = Array.isArray(institution.supported_features)
+    ? institution.supported_features
+    : [];
+
+  return [
+    `${institution.id}`,
+    `  name:        ${institution.name || "?"}`,
+    `  bic:         ${institution.bic || "?"}`,
+    `  countries:   ${(institution.countries || []).join(", ") || "?"}`,
+    `  history:     ${institution.transaction_total_days || "?"} day(s)`,
+    `  max access:  ${institution.max_access_valid_for_days || "?"} day(s)`,
+    `  features:    ${features.length ? features.join(", ") : "n/a"}`,
+  ].join("\n");
+}
+
+async function main() {
+  installHttpRecorder();
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Options:
+  --country <code>     ISO country code to list institutions for (default: BE or GOCARDLESS_COUNTRY)
+  --search <text>      Filter by institution name, BIC or ID
+  --id <institutionId> Show the details of a single institution
+  --write <alias>      Store the selected institution ID on the alias in config/accounts.json
+  --json               Print the raw JSON payload
+  --record <dir>       Save every HTTP exchange (credentials redacted) to <dir>
+  --replay <dir>       Answer HTTP requests from a --record directory instead of the network
+  -h, --help           Show this help message
+`);
+    return;
+  }
+
+  const secretId = process.env.GOCARDLESS_SECRET_ID;
+  const secretKey = process.env.GOCARDLESS_SECRET_KEY;
+
+  if (!secretId || !secretKey) {
+    throw new Error("Set GOCARDLESS_SECRET_ID and GOCARDLESS_SECRET_KEY in your .env");
+  }
+
+  const client = createGocardlessClient({
+    secretId,
+    secretKey,
+    baseUrl: process.env.GOCARDLESS_BASE_URL || undefined,
+  });
+
+  let institutions;
+  if (options.institutionId) {
+    institutions = [await client.getInstitution(options.institutionId)];
+  } else {
+    const listed = await client.listInstitutions(options.country);
+    institutions = (Array.isArray(listed) ? listed : []).filter((institution) =>
+      matchesSearch(institution, options.search)
+    );
+
+    if (institutions.length && institutions.length <= DETAIL_LOOKUP_LIMIT) {
+      institutions = await Promise.all(
+        institutions.map((institution) => client.getInstitution(institution.id))
+      );
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(institutions, null, 2));
+  } else if (!institutions.length) {
+    console.log(
+      `No institutions found in ${options.country.toUpperCase()}${
+        options.search ? ` matching "${options.search}"` : ""
+      }.`
+    );
+  } else {
+    institutions.forEach((institution) => {
+      console.log(describeInstitution(institution));
+    });
+    console.log(`\n${institutions.length} institution(s) listed.`);
+  }
+
+  if (!options.writeAlias) {
+    return;
+  }
+
+  if (institutions.length !== 1) {
+    throw new Error(
+      `--write needs exactly one institution but ${institutions.length} matched. Narrow down with --search or use --id.`
+    );
+  }
+
+  const [selected] = institutions;
+  await updateAccountEntry(options.writeAlias, { institutionId: selected.id });
+  console.log(
+    `\nStored institutionId ${selected.id} on alias "${options.writeAlias}" in config/accounts.json`
+  );
+}
+
+main().catch((error) => {
+  console.error("Failed to look up institutions:");
+  if (error.response?.data) {
+    console.error(JSON.stringify(error.response.data, null, 2));
+  } else {
+    console.error(error.message);
+  }
+  process.exitCode = 1;
+});
@@ -9,6 +9,7 @@ const {
   resolveInvoiceBalance,
   createPayment,
 } = require("./lib/invoice-payments");
+const { installHttpRecorder } = require("../../core/http-recorder");
 
 function parseArgs(argv) {
   const options = {
@@ -61,6 +62,8 @@ function printHelp() {
   console.log("Options:");
   console.log("  --apply        Execute the API calls (default: dry-run)");
   console.log("  --insecure     Skip TLS verification (self-hosted instances)");
+  console.log("  --record <dir> Save HTTP exchanges (tokens redacted) to <dir>");
+  console.log("  --replay <dir> Answer HTTP requests from a --record directory");
   console.log("  -h, --help     Show this help message");
 }
 
@@ -113,6 +116,7 @@ async function fetchInvoice({ baseUrl, token, invoiceNumber, httpsAgent }) {
 }
 
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
 
   const token = requireEnv("INVOICE_NINJA_KEY");
@@ -11,6 +11,7 @@ const {
   resolveInvoiceGross,
   createPayment,
 } = require("./lib/invoice-payments");
+const { installHttpRecorder } = require("../../core/http-recorder");
 
 const DEFAULT_VAT_RATE = 0.21;
 
@@ -71,6 +72,8 @@ function printHelp() {
   console.log("  --start-number <value>   First credit note number to assign (default: 11055)");
   console.log("  --apply                  Execute the API calls (default: dry-run)");
   console.log("  --insecure               Skip TLS verification (self-hosted instances)");
+  console.log("  --record <dir>           Save HTTP exchanges (tokens redacted) to <dir>");
+  console.log("  --replay <dir>           Answer HTTP requests from a --record directory");
   console.log("  -h, --help               Show this help message");
 }
 
@@ -326,6 +329,7 @@ async function createCreditInvoice({
 }
 
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
   const token = requireEnv("INVOICE_NINJA_KEY");
   const baseUrl = (process.env.INVOICE_NINJA_BASE_URL || "https://ninja.lizoria.com").replace(/\/$/, "");
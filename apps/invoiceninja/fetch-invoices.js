@@ -3,6 +3,8 @@ require("dotenv").config();
 
 const axios = require("axios");
 
+const { installHttpRecorder } = require("../../core/http-recorder");
+
 const STATUS_LABELS = {
   1: "Draft",
   2: "Sent",
@@ -86,10 +88,13 @@ function printHelp() {
   console.log("  --status <id>          Filter by status_id (as defined by Invoice Ninja)");
   console.log("  --raw                  Print full JSON payload");
   console.log("  --insecure             Skip TLS certificate verification (self-hosted only)");
+  console.log("  --record <dir>         Save HTTP exchanges (tokens redacted) to <dir>");
+  console.log("  --replay <dir>         Answer HTTP requests from a --record directory");
   console.log("  -h, --help             Show this help message");
 }
 
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
 
   if (options.help) {
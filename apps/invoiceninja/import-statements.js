@@ -1,21 +1,48 @@
 #!/usr/bin/env node
+require('dotenv').config();
 
+const crypto = require('crypto');
 const fs = require('fs');
 const fsPromises = require('fs/promises');
 const path = require('path');
 const { PDFParse } = require('pdf-parse');
 const AdmZip = require('adm-zip');
 
+const { decodeJson, encodeJson } = require('../../core/encryption');
+const { getSqliteStore } = require('../../core/snapshot-store');
+const {
+  findStatementParser,
+  getStatementParser,
+  listStatementParsers,
+} = require('./lib/statement-parsers');
+const {
+  IMPORT_MANIFEST_FILE,
+  OPERATIONS_INDEX_FILE,
+  readImportManifest,
+  readOperationsIndex,
+  readStatementDirectory,
+  writeImportManifest,
+} = require('./lib/statement-files');
+const { validateStatementBalance } = require('./lib/statement-validation');
+
 const DEFAULT_OUTPUT_DIR = path.join('data', 'statements', 'pdf');
 const SKIP_DIRECTORIES = new Set(['.git', 'node_modules', '.cache', '.idea', '.vscode']);
-const IBAN_MIN_LENGTH = 14;
-const VALUE_LINE_REGEX = /^(\d{2})-(\d{2})(?:-(\d{4}))?\s+([\d.,]+)\s*([+-])$/;
-const ISO_DATE_REGEX = /^(\d{2})-(\d{2})-(\d{4})$/;
-const BIC_REGEX = /^([A-Z]{4}[A-Z0-9]{2}[A-Z0-9]{2,3})$/;
 
 async function main() {
   try {
     const options = parseArgs(process.argv.slice(2));
+    if (options.parser) {
+      getStatementParser(options.parser);
+    }
+
+    if (options.rebuildIndex) {
+      const rebuilt = await rebuildOperationsIndex(options.outputDir);
+      console.log(
+        `Rebuilt ${path.join(options.outputDir, OPERATIONS_INDEX_FILE)} from ${rebuilt.statements} statement(s): ${rebuilt.operations} operation(s).`
+      );
+      return;
+    }
+
     const inputStats = await safeStat(options.inputPath);
     if (!inputStats) {
       throw new Error(`Input path not found: ${options.inputPath}`);
@@ -29,26 +56,33 @@ async function main() {
 
     await fsPromises.mkdir(options.outputDir, { recursive: true });
 
-    const processedStatements = [];
+    const manifest = await readImportManifest(options.outputDir);
+    const imports = [];
     const failures = [];
 
     for (const zipPath of collections.zipFiles) {
-      const zipResults = await processZipArchive(zipPath, options);
-      processedStatements.push(...zipResults.statements);
+      const zipResults = await processZipArchive(zipPath, options, manifest);
+      imports.push(...zipResults.imports);
       failures.push(...zipResults.failures);
     }
 
     for (const pdfPath of collections.pdfFiles) {
-      const pdfResults = await processSinglePdf(pdfPath, options);
-      processedStatements.push(...pdfResults.statements);
+      const pdfResults = await processSinglePdf(pdfPath, options, manifest);
+      imports.push(...pdfResults.imports);
       failures.push(...pdfResults.failures);
     }
 
+    const processedStatements = imports.filter((result) => result.statement).map((result) => result.statement);
+    let indexedOperations = null;
     if (processedStatements.length) {
-      await emitAggregatedIndex(processedStatements, options.outputDir);
+      indexedOperations = await emitAggregatedIndex(processedStatements, options.outputDir);
     }
+    await writeImportManifest(options.outputDir, manifest);
 
-    reportSummary(processedStatements, failures);
+    reportSummary(imports, failures);
+    if (indexedOperations !== null) {
+      console.log(`Operations index now holds ${indexedOperations} operation(s).`);
+    }
     if (failures.length) {
       process.exitCode = 1;
     }
@@ -64,6 +98,8 @@ function parseArgs(argv) {
     outputDir: DEFAULT_OUTPUT_DIR,
     includeStandalonePdfs: true,
     overwrite: false,
+    parser: null,
+    rebuildIndex: false,
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -78,6 +114,13 @@ function parseArgs(argv) {
       options.includeStandalonePdfs = false;
     } else if (arg === '--overwrite') {
       options.overwrite = true;
+    } else if (arg === '--parser') {
+      options.parser = argv[i + 1] || null;
+      i += 1;
+    } else if (arg.startsWith('--parser=')) {
+      options.parser = arg.split('=')[1] || null;
+    } else if (arg === '--rebuild-index') {
+      options.rebuildIndex = true;
     } else if (arg === '--help' || arg === '-h') {
       printUsage();
       process.exit(0);
@@ -90,11 +133,26 @@ function parseArgs(argv) {
 function printUsage() {
   console.log(`Usage: node apps/invoiceninja/import-statements.js [--input <path>] [--output <path>] [--overwrite]
 
+The bank is detected from the statement text. Available parsers:
+${listStatementParsers()
+  .map((parser) => `  ${parser.name.padEnd(24)} ${parser.label}`)
+  .join('\n')}
+
+Belfius statements in French, Dutch, English and German are detected automatically.
+
+${IMPORT_MANIFEST_FILE} in the output directory records the SHA-256 of every imported PDF
+with its statement and parser version: unchanged files are skipped, and files are parsed
+again when their parser version changes. With STORAGE_BACKEND=sqlite the operations of every
+imported statement are also written to the SQLite store.
+
 Options:
   --input, --source        Directory or file to scan. Defaults to current directory.
   --output                 Target directory for generated JSON files. Defaults to ${DEFAULT_OUTPUT_DIR}.
   --no-standalone-pdf      Skip PDF files that are not inside ZIP archives.
-  --overwrite              Overwrite existing JSON files if they already exist.
+  --overwrite              Parse every file again and overwrite existing JSON files.
+  --parser <name>          Skip detection and parse every statement with this parser.
+  --rebuild-index          Regenerate ${OPERATIONS_INDEX_FILE} from every statement JSON in the output
+                           directory instead of importing.
   -h, --help               Display this help message.
 `);
 }
@@ -144,10 +202,10 @@ async function collectSources(rootPath, stat, includeStandalonePdfs) {
   return { zipFiles, pdfFiles };
 }
 
-async function processZipArchive(zipPath, options) {
+async function processZipArchive(zipPath, options, manifest) {
   const zip = new AdmZip(zipPath);
   const entries = zip.getEntries();
-  const statements = [];
+  const imports = [];
   const failures = [];
 
   for (const entry of entries) {
@@ -159,16 +217,18 @@ async function processZipArchive(zipPath, options) {
     }
     try {
       const pdfBuffer = entry.getData();
-      const parsed = await parseStatement(pdfBuffer, {
-        source: 'zip',
-        originPath: zipPath,
-        entryName: entry.entryName,
-      });
-      const outputPath = await writeStatementJson(parsed, options.outputDir, options.overwrite);
-      statements.push({
-        ...parsed,
-        outputPath,
-      });
+      imports.push(
+        await importStatementBuffer(
+          pdfBuffer,
+          {
+            source: 'zip',
+            originPath: zipPath,
+            entryName: entry.entryName,
+          },
+          options,
+          manifest
+        )
+      );
     } catch (error) {
       failures.push({
         source: 'zip',
@@ -179,23 +239,25 @@ async function processZipArchive(zipPath, options) {
     }
   }
 
-  return { statements, failures };
+  return { imports, failures };
 }
 
-async function processSinglePdf(pdfPath, options) {
-  const statements = [];
+async function processSinglePdf(pdfPath, options, manifest) {
+  const imports = [];
   const failures = [];
   try {
     const pdfBuffer = await fsPromises.readFile(pdfPath);
-    const parsed = await parseStatement(pdfBuffer, {
-      source: 'pdf',
-      originPath: pdfPath,
-    });
-    const outputPath = await writeStatementJson(parsed, options.outputDir, options.overwrite);
-    statements.push({
-      ...parsed,
-      outputPath,
-    });
+    imports.push(
+      await importStatementBuffer(
+        pdfBuffer,
+        {
+          source: 'pdf',
+          originPath: pdfPath,
+        },
+        options,
+        manifest
+      )
+    );
   } catch (error) {
     failures.push({
       source: 'pdf',
@@ -203,509 +265,148 @@ async function processSinglePdf(pdfPath, options) {
       error: error.message,
     });
   }
-  return { statements, failures };
+  return { imports, failures };
 }
 
-async function parseStatement(buffer, context) {
-  const parser = new PDFParse({ data: buffer });
-  try {
-    const textResult = await parser.getText();
-    const originalLines = textResult.text.split(/\r?\n/);
-    const trimmedLines = originalLines.map((line) => line.trim()).filter((line) => Boolean(line));
-
-    const statementMeta = extractStatementMeta(trimmedLines);
-    const operations = extractOperations(trimmedLines, statementMeta, context);
-
-    return {
-      statementId: buildStatementId(statementMeta, context),
-      generatedAt: new Date().toISOString(),
-      source: {
-        type: context.source,
-        originPath: context.originPath,
-        entryName: context.entryName || null,
-      },
-      account: statementMeta.account,
-      balances: statementMeta.balances,
-      statementNumber: statementMeta.statementNumber,
-      statementYear: statementMeta.statementYear,
-      operations,
-      rawStatementLines: originalLines.map((line) => line.trimEnd()),
-    };
-  } finally {
-    await parser.destroy();
-  }
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
-function extractStatementMeta(lines) {
-  const ibanIndex = lines.findIndex((line) => isPotentialIbanLine(line));
-  if (ibanIndex === -1) {
-    throw new Error('Unable to locate account IBAN line in statement.');
+function planImport(entry, options) {
+  if (!entry) {
+    return { action: 'new' };
   }
-  const accountLine = lines[ibanIndex];
-  const accountName = lines[ibanIndex - 1] || null;
-  const bicLine = lines.find((line) => line.startsWith('BIC '));
-  const statementTitleLine = lines.find((line) => line.includes('Extrait N°'));
-  const closingBalanceLine = lines.find((line) => line.startsWith('Solde actuel au '));
-  const openingBalanceLine = lines.find((line) => line.startsWith('Solde précédent au '));
-
-  const account = {
-    name: accountName,
-    ...parseAccountLine(accountLine),
-    bic: bicLine ? bicLine.replace('BIC', '').trim() : null,
-  };
-
-  const { statementNumber, statementYear } = parseStatementTitle(statementTitleLine);
-  const balances = {
-    closing: parseBalanceLine(closingBalanceLine),
-    opening: parseBalanceLine(openingBalanceLine),
-  };
-
-  return {
-    account,
-    statementNumber,
-    statementYear,
-    balances,
-    operationsHeaderIndex: lines.findIndex((line) => line.startsWith('N° Type d\'opération')),
-  };
-}
-
-function extractOperations(lines, statementMeta, context) {
-  const headerIndex = statementMeta.operationsHeaderIndex;
-  if (headerIndex === -1) {
-    throw new Error('Unable to find the operations header in the statement.');
-  }
-
-  let index = headerIndex + 1;
-  while (lines[index] === 'Date' || lines[index]?.startsWith('Valeur Montant')) {
-    index += 1;
-  }
-
-  const operations = [];
-  let currentBookingDate = null;
-
-  while (index < lines.length) {
-    const line = lines[index];
-    if (!line) {
-      index += 1;
-      continue;
-    }
-
-    if (line.startsWith('Solde ') || line.startsWith('Les dépôts ') || line.startsWith('-- ')) {
-      break;
-    }
-
-    if (line.startsWith('...')) {
-      index += 1;
-      continue;
-    }
-
-    const dateMatch = line.match(ISO_DATE_REGEX);
-    if (dateMatch) {
-      currentBookingDate = toIsoDate(line);
-      index += 1;
-      continue;
-    }
-
-    const operationMatch = line.match(/^(0\d{3})\s+(.+)$/);
-    if (!operationMatch) {
-      index += 1;
-      continue;
-    }
-
-    const sequence = operationMatch[1];
-    const title = operationMatch[2];
-    index += 1;
-
-    const detailLines = [];
-    let valueLine = null;
-
-    while (index < lines.length) {
-      const detailLine = lines[index];
-
-      if (!detailLine) {
-        index += 1;
-        continue;
-      }
-
-      if (detailLine.startsWith('Solde ') || detailLine.startsWith('-- ')) {
-        break;
-      }
-
-      if (detailLine.startsWith('...')) {
-        index += 1;
-        continue;
-      }
-
-      const bookingDateMatch = detailLine.match(ISO_DATE_REGEX);
-      if (bookingDateMatch) {
-        currentBookingDate = toIsoDate(detailLine);
-        index += 1;
-        continue;
-      }
-
-      if (VALUE_LINE_REGEX.test(detailLine)) {
-        valueLine = detailLine;
-        index += 1;
-        break;
-      }
-
-      const nextOperationMatch = detailLine.match(/^(0\d{3})\s+(.+)$/);
-      if (nextOperationMatch) {
-        break;
-      }
-
-      detailLines.push(detailLine);
-      index += 1;
-    }
-
-    if (!valueLine) {
-      while (index < lines.length) {
-        const fallbackLine = lines[index];
-        if (!fallbackLine) {
-          index += 1;
-          continue;
-        }
-        if (VALUE_LINE_REGEX.test(fallbackLine)) {
-          valueLine = fallbackLine;
-          index += 1;
-        }
-        break;
-      }
-    }
-
-    const operation = buildOperation({
-      sequence,
-      title,
-      bookingDate: currentBookingDate,
-      valueLine,
-      detailLines,
-      currency: statementMeta.account.currency,
-    });
-
-    operations.push({
-      ...operation,
-      rawDetails: {
-        detailLines,
-        valueLine,
-      },
-    });
+  if (options.overwrite) {
+    return { action: 'reparse', reason: '--overwrite' };
   }
-
-  return operations;
-}
-
-function buildOperation({ sequence, title, bookingDate, valueLine, detailLines, currency }) {
-  const detailInfo = parseDetailLines(detailLines);
-  const valueInfo = parseValueLine(valueLine, bookingDate, currency);
-
-  return {
-    sequence,
-    title,
-    bookingDate: bookingDate || valueInfo.valueDate || null,
-    executionDate: detailInfo.executionDate,
-    valueDate: valueInfo.valueDate,
-    amount: valueInfo.amount,
-    currency: valueInfo.currency,
-    direction: valueInfo.direction,
-    communication: detailInfo.communication,
-    bankReference: detailInfo.bankReference,
-    orderReference: detailInfo.orderReference,
-    counterpartyAccount: detailInfo.counterpartyAccount,
-    counterpartyCurrency: detailInfo.counterpartyCurrency,
-    counterpartyBic: detailInfo.counterpartyBic,
-    counterpartyName: detailInfo.counterpartyName,
-    counterpartyAddress: detailInfo.counterpartyAddress,
-    additionalDetails: detailInfo.additionalDetails,
-  };
-}
-
-function parseValueLine(line, bookingDate, currency) {
-  if (!line) {
-    return {
-      valueDate: bookingDate || null,
-      amount: null,
-      currency,
-      direction: null,
-    };
+  if (options.parser && options.parser !== entry.parser) {
+    return { action: 'reparse', reason: `parser forced to ${options.parser}` };
   }
 
-  const match = line.match(VALUE_LINE_REGEX);
-  if (!match) {
-    return {
-      valueDate: bookingDate || null,
-      amount: null,
-      currency,
-      direction: null,
-    };
+  const parser = listStatementParsers().find((candidate) => candidate.name === entry.parser);
+  if (!parser) {
+    return { action: 'reparse', reason: `parser ${entry.parser} is no longer available` };
   }
-
-  const [, day, month, yearMaybe, amountString, sign] = match;
-  const inferredDate = inferValueDate({ day, month, yearMaybe, bookingDate });
-  const numericAmount = parseEuropeanNumber(amountString);
-  const signedAmount = sign === '-' ? -numericAmount : numericAmount;
-
-  return {
-    valueDate: inferredDate,
-    amount: signedAmount,
-    currency,
-    direction: sign === '-' ? 'debit' : 'credit',
-  };
-}
-
-function parseDetailLines(lines) {
-  const details = {
-    executionDate: null,
-    communication: null,
-    bankReference: null,
-    orderReference: null,
-    counterpartyAccount: null,
-    counterpartyCurrency: null,
-    counterpartyBic: null,
-    counterpartyName: null,
-    counterpartyAddress: null,
-    additionalDetails: [],
-  };
-
-  const residual = [];
-
-  for (let index = 0; index < lines.length; index += 1) {
-    const line = lines[index];
-
-    if (line.startsWith('Date d\'exécution')) {
-      const consumption = consumeValue(lines, index);
-      details.executionDate = toIsoDate(consumption.value);
-      index = consumption.nextIndex;
-      continue;
-    }
-
-    if (line.startsWith('Date de l\'opération')) {
-      const consumption = consumeValue(lines, index);
-      details.executionDate = toIsoDate(consumption.value);
-      index = consumption.nextIndex;
-      continue;
-    }
-
-    if (line.startsWith('Communication')) {
-      const consumption = consumeValue(lines, index);
-      details.communication = consumption.value || details.communication;
-      index = consumption.nextIndex;
-      continue;
-    }
-
-    if (line.startsWith('Référence banque')) {
-      const consumption = consumeValue(lines, index);
-      details.bankReference = consumption.value || details.bankReference;
-      index = consumption.nextIndex;
-      continue;
-    }
-
-    if (line.startsWith('Référence donneur d\'ordre')) {
-      const consumption = consumeValue(lines, index);
-      details.orderReference = consumption.value || details.orderReference;
-      index = consumption.nextIndex;
-      continue;
-    }
-
-    const ibanParts = parseIbanLine(line);
-    if (ibanParts) {
-      details.counterpartyAccount = ibanParts.iban;
-      details.counterpartyCurrency = ibanParts.currency || details.counterpartyCurrency;
-      continue;
-    }
-
-    const bicCandidate = line.replace(/\s+/g, '');
-    if (BIC_REGEX.test(bicCandidate)) {
-      details.counterpartyBic = bicCandidate;
-      continue;
-    }
-
-    residual.push(line);
+  if (parser.version !== entry.parserVersion) {
+    return { action: 'reparse', reason: `${parser.name} parser v${entry.parserVersion} -> v${parser.version}` };
   }
-
-  if (residual.length) {
-    details.counterpartyName = residual.shift();
-    if (residual.length) {
-      details.counterpartyAddress = residual.shift();
-      if (residual.length) {
-        details.additionalDetails.push(...residual);
-      }
-    }
+  if (!fs.existsSync(path.join(options.outputDir, entry.outputFile))) {
+    return { action: 'reparse', reason: `${entry.outputFile} was missing` };
   }
-
-  return details;
+  return { action: 'skip' };
 }
 
-function consumeValue(lines, startIndex) {
-  const line = lines[startIndex] || '';
-  const colonIndex = line.indexOf(':');
-  let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1).trim();
-  let nextIndex = startIndex;
-
-  if (!value) {
-    for (let cursor = startIndex + 1; cursor < lines.length; cursor += 1) {
-      const candidate = lines[cursor];
-      if (!candidate) {
-        continue;
-      }
-      if (candidate.includes(':')) {
-        break;
-      }
-      value = candidate.trim();
-      nextIndex = cursor;
-      break;
-    }
-  }
-
-  return { value, nextIndex };
+// Only the latest PDF of a statement stays in the manifest, so re-importing a replaced file parses it again.
+function recordManifestEntry(manifest, sha256, entry) {
+  Object.keys(manifest.files)
+    .filter((hash) => hash !== sha256 && manifest.files[hash].outputFile === entry.outputFile)
+    .forEach((hash) => {
+      delete manifest.files[hash];
+    });
+  manifest.files[sha256] = entry;
 }
 
-function parseIbanLine(line) {
-  const compact = line.replace(/\s+/g, '');
-  if (compact.length < IBAN_MIN_LENGTH) {
-    return null;
-  }
-  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) {
-    return null;
+async function importStatementBuffer(buffer, context, options, manifest) {
+  const sha256 = hashContent(buffer);
+  const plan = planImport(manifest.files[sha256], options);
+  if (plan.action === 'skip') {
+    return { status: 'skipped', sha256, context };
   }
 
-  const matches = line.trim().split(/\s+/);
-  if (!matches.length) {
-    return null;
-  }
-
-  const currencyCandidate = matches[matches.length - 1];
-  if (/^[A-Z]{3}$/.test(currencyCandidate)) {
-    return {
-      iban: compact.slice(0, -currencyCandidate.length),
-      currency: currencyCandidate,
-    };
-  }
-
-  return {
-    iban: compact,
-    currency: null,
-  };
-}
-
-function parseAccountLine(line) {
-  const matches = line.trim().split(/\s+/);
-  if (!matches.length) {
-    throw new Error('Invalid account line in statement.');
-  }
+  const parsed = await parseStatement(buffer, { ...context, sha256, parser: options.parser });
+  const { outputPath, replaced, previousSha256 } = await writeStatementJson(parsed, options.outputDir);
 
-  const currencyCandidate = matches[matches.length - 1];
-  const hasCurrency = /^[A-Z]{3}$/.test(currencyCandidate);
-  const ibanParts = matches.slice(0, hasCurrency ? -1 : undefined).join('');
+  recordManifestEntry(manifest, sha256, {
+    statementId: parsed.statementId,
+    parser: parsed.parser,
+    parserVersion: parsed.parserVersion,
+    outputFile: path.basename(outputPath),
+    source: parsed.source,
+    importedAt: parsed.generatedAt,
+  });
 
+  const reparsed = plan.action === 'reparse' || replaced;
   return {
-    iban: ibanParts,
-    currency: hasCurrency ? currencyCandidate : null,
+    status: reparsed ? 'reparsed' : 'new',
+    reason:
+      plan.reason ||
+      (previousSha256 ? `replaces the import of a different PDF (sha256 ${previousSha256.slice(0, 12)})` : null) ||
+      (replaced ? 'not in the manifest yet' : null),
+    sha256,
+    context,
+    statement: { ...parsed, outputPath },
   };
 }
 
-function parseStatementTitle(line) {
-  if (!line) {
-    return {
-      statementNumber: null,
-      statementYear: null,
-    };
-  }
-
-  const match = line.match(/Extrait N°\s+(\d{4})\s*-\s*(\d+)/);
-  if (!match) {
-    return {
-      statementNumber: null,
-      statementYear: null,
-    };
-  }
+async function parseStatement(buffer, context) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const textResult = await parser.getText();
+    const originalLines = textResult.text.split(/\r?\n/);
+    const trimmedLines = originalLines.map((line) => line.trim()).filter((line) => Boolean(line));
 
-  return {
-    statementYear: match[1],
-    statementNumber: match[2],
-  };
-}
+    const statementParser = context.parser
+      ? getStatementParser(context.parser)
+      : findStatementParser(trimmedLines);
+    if (!statementParser) {
+      throw new Error(
+        `No statement parser recognised this file (tried: ${listStatementParsers()
+          .map((parser) => parser.name)
+          .join(', ')}).`
+      );
+    }
 
-function parseBalanceLine(line) {
-  if (!line) {
-    return {
-      date: null,
-      amount: null,
-    };
-  }
+    let parsed;
+    try {
+      parsed = statementParser.parse(trimmedLines);
+    } catch (error) {
+      throw new Error(`${statementParser.label} parser: ${error.message}`);
+    }
+    const { operations, ...statementMeta } = parsed;
 
-  const match = line.match(/au\s+(\d{2}-\d{2}-\d{4})\s+([\d.,]+)\s*([+-])/);
-  if (!match) {
     return {
-      date: null,
-      amount: null,
+      statementId: buildStatementId(statementMeta, context),
+      generatedAt: new Date().toISOString(),
+      parser: statementParser.name,
+      parserVersion: statementParser.version,
+      sourceSha256: context.sha256 || null,
+      language: statementMeta.language,
+      source: {
+        type: context.source,
+        originPath: context.originPath,
+        entryName: context.entryName || null,
+      },
+      account: statementMeta.account,
+      balances: statementMeta.balances,
+      statementNumber: statementMeta.statementNumber,
+      statementYear: statementMeta.statementYear,
+      operations,
+      rawStatementLines: originalLines.map((line) => line.trimEnd()),
     };
+  } finally {
+    await parser.destroy();
   }
-
-  const [, datePart, amountPart, sign] = match;
-  const numericAmount = parseEuropeanNumber(amountPart);
-  const signedAmount = sign === '-' ? -numericAmount : numericAmount;
-
-  return {
-    date: toIsoDate(datePart),
-    amount: signedAmount,
-  };
-}
-
-function isPotentialIbanLine(line) {
-  return /^[A-Z]{2}\d{2}/.test(line) && line.length > IBAN_MIN_LENGTH;
-}
-
-function toIsoDate(dateString) {
-  if (!dateString) {
-    return null;
-  }
-  const match = dateString.match(ISO_DATE_REGEX);
-  if (!match) {
-    return null;
-  }
-  const [, day, month, year] = match;
-  return `${year}-${month}-${day}`;
-}
-
-function inferValueDate({ day, month, yearMaybe, bookingDate }) {
-  if (yearMaybe) {
-    return `${yearMaybe}-${month}-${day}`;
-  }
-  if (bookingDate) {
-    const [bookingYear, bookingMonth] = bookingDate.split('-').map((part) => parseInt(part, 10));
-    const valueMonth = parseInt(month, 10);
-    let year = bookingYear;
-    const monthDelta = valueMonth - bookingMonth;
-    if (monthDelta < -6) {
-      year += 1;
-    } else if (monthDelta > 6) {
-      year -= 1;
-    }
-    return `${year}-${month}-${day}`;
-  }
-  return null;
-}
-
-function parseEuropeanNumber(raw) {
-  if (!raw) {
-    return 0;
-  }
-  const normalized = raw.replace(/\./g, '').replace(/\s+/g, '').replace(',', '.');
-  const parsed = parseFloat(normalized);
-  return Number.isNaN(parsed) ? 0 : parsed;
 }
 
-async function writeStatementJson(statement, outputDir, overwrite) {
+// A statement ID maps to one file, so a PDF whose bytes changed (e.g. a statement downloaded again)
+// replaces the earlier import; its operations are swapped in the index by statement ID.
+async function writeStatementJson(statement, outputDir) {
   const baseName = statement.statementId || buildFileSafeName(statement.source.entryName || statement.source.originPath);
   const fileName = `${baseName}.json`;
   const targetPath = path.join(outputDir, fileName);
 
-  if (!overwrite && fs.existsSync(targetPath)) {
-    throw new Error(`File already exists at ${targetPath}. Use --overwrite to replace it.`);
+  let replaced = false;
+  let previousSha256 = null;
+  if (fs.existsSync(targetPath)) {
+    const existing = decodeJson(await fsPromises.readFile(targetPath, 'utf8'));
+    replaced = true;
+    if (existing.sourceSha256 && existing.sourceSha256 !== statement.sourceSha256) {
+      previousSha256 = existing.sourceSha256;
+    }
   }
 
-  await fsPromises.writeFile(targetPath, JSON.stringify(statement, null, 2), 'utf8');
-  return targetPath;
+  await fsPromises.writeFile(targetPath, encodeJson(statement), 'utf8');
+  return { outputPath: targetPath, replaced, previousSha256 };
 }
 
 function buildStatementId(meta, context) {
@@ -730,56 +431,115 @@ function buildFileSafeName(value) {
   return value.replace(/[^A-Za-z0-9._-]/g, '_');
 }
 
-async function emitAggregatedIndex(statements, outputDir) {
-  const operations = [];
-
-  for (const statement of statements) {
-    const reference = {
-      statementId: statement.statementId,
-      statementFile: path.basename(statement.outputPath),
-      accountIban: statement.account.iban,
-      accountName: statement.account.name,
-      statementYear: statement.statementYear,
-      statementNumber: statement.statementNumber,
-    };
+function buildIndexOperations(statement) {
+  const reference = {
+    statementId: statement.statementId,
+    statementFile: path.basename(statement.outputPath),
+    parser: statement.parser,
+    accountIban: statement.account.iban,
+    accountName: statement.account.name,
+    statementYear: statement.statementYear,
+    statementNumber: statement.statementNumber,
+  };
 
-    for (const op of statement.operations) {
-      operations.push({
-        ...reference,
-        sequence: op.sequence,
-        title: op.title,
-        bookingDate: op.bookingDate,
-        executionDate: op.executionDate,
-        valueDate: op.valueDate,
-        amount: op.amount,
-        currency: op.currency,
-        direction: op.direction,
-        communication: op.communication,
-        bankReference: op.bankReference,
-        orderReference: op.orderReference,
-        counterpartyAccount: op.counterpartyAccount,
-        counterpartyBic: op.counterpartyBic,
-        counterpartyName: op.counterpartyName,
-        counterpartyAddress: op.counterpartyAddress,
-      });
-    }
-  }
+  return statement.operations.map((op) => ({
+    ...reference,
+    sequence: op.sequence,
+    title: op.title,
+    bookingDate: op.bookingDate,
+    executionDate: op.executionDate,
+    valueDate: op.valueDate,
+    amount: op.amount,
+    currency: op.currency,
+    direction: op.direction,
+    communication: op.communication,
+    bankReference: op.bankReference,
+    orderReference: op.orderReference,
+    counterpartyAccount: op.counterpartyAccount,
+    counterpartyBic: op.counterpartyBic,
+    counterpartyName: op.counterpartyName,
+    counterpartyAddress: op.counterpartyAddress,
+  }));
+}
+
+function buildIndexKey(operation) {
+  return `${operation.statementId}:${operation.sequence || operation.bankReference || operation.bookingDate}`;
+}
+
+async function writeOperationsIndex(operations, outputDir) {
+  const unique = new Map();
+  operations.forEach((operation) => unique.set(buildIndexKey(operation), operation));
+  const sorted = Array.from(unique.values()).sort(
+    (a, b) =>
+      String(a.statementId).localeCompare(String(b.statementId)) ||
+      String(a.sequence).localeCompare(String(b.sequence))
+  );
 
   const indexPayload = {
     generatedAt: new Date().toISOString(),
-    operations,
+    operations: sorted,
   };
 
-  const indexPath = path.join(outputDir, 'operations-index.json');
-  await fsPromises.writeFile(indexPath, JSON.stringify(indexPayload, null, 2), 'utf8');
+  const indexPath = path.join(outputDir, OPERATIONS_INDEX_FILE);
+  await fsPromises.writeFile(indexPath, encodeJson(indexPayload), 'utf8');
+  return sorted.length;
+}
+
+// With STORAGE_BACKEND=sqlite the rent checker and the invoice tools read operations from the store.
+function storeOperations(statements, operations) {
+  const store = getSqliteStore();
+  if (store) {
+    store.replaceOperations(statements.map((statement) => statement.statementId), operations);
+  }
 }
 
-function reportSummary(statements, failures) {
-  const totalOperations = statements.reduce((sum, statement) => sum + statement.operations.length, 0);
-  console.log(`Processed ${statements.length} statement(s), extracted ${totalOperations} operation(s).`);
-  statements.forEach((statement) => {
-    console.log(`- ${statement.statementId}: ${statement.operations.length} operation(s) -> ${statement.outputPath}`);
+async function emitAggregatedIndex(statements, outputDir) {
+  // Statements parsed in this run replace their earlier entries; every other statement stays indexed.
+  const refreshed = new Set(statements.map((statement) => statement.statementId));
+  const kept = (await readOperationsIndex(outputDir)).filter(
+    (operation) => !refreshed.has(operation.statementId)
+  );
+  const operations = statements.flatMap(buildIndexOperations);
+  storeOperations(statements, operations);
+  return writeOperationsIndex([...kept, ...operations], outputDir);
+}
+
+async function rebuildOperationsIndex(outputDir) {
+  const statements = await readStatementDirectory(outputDir);
+  if (!statements.length) {
+    throw new Error(`No statement JSON files found in ${outputDir}, nothing to index.`);
+  }
+  const indexed = statements.flatMap(buildIndexOperations);
+  storeOperations(statements, indexed);
+  const operations = await writeOperationsIndex(indexed, outputDir);
+  return { statements: statements.length, operations };
+}
+
+function reportSummary(imports, failures) {
+  const statements = imports.filter((result) => result.statement);
+  const counts = { new: 0, reparsed: 0, skipped: 0 };
+  imports.forEach((result) => {
+    counts[result.status] += 1;
   });
+  const totalOperations = statements.reduce((sum, result) => sum + result.statement.operations.length, 0);
+  console.log(
+    `Processed ${statements.length} statement(s), extracted ${totalOperations} operation(s): ${counts.new} new, ${counts.reparsed} reparsed, ${counts.skipped} skipped (unchanged).`
+  );
+  statements.forEach((result) => {
+    const { statement } = result;
+    const parserLabel = statement.language ? `${statement.parser}/${statement.language}` : statement.parser;
+    const statusLabel = result.status === 'reparsed' ? `reparsed: ${result.reason}` : 'new';
+    console.log(
+      `- ${statement.statementId} [${parserLabel}] (${statusLabel}): ${statement.operations.length} operation(s) -> ${statement.outputPath}`
+    );
+    const balanceCheck = validateStatementBalance(statement);
+    if (balanceCheck.status !== 'ok') {
+      console.log(`  ⚠️  ${balanceCheck.reason} (opening ${balanceCheck.opening}, operations ${balanceCheck.movement}, closing ${balanceCheck.closing})`);
+    }
+  });
+  if (statements.length) {
+    console.log('Run node apps/invoiceninja/validate-statements.js to check statement numbering and balances across the archive.');
+  }
 
   if (failures.length) {
     console.error(`Encountered ${failures.length} error(s):`);
@@ -0,0 +1,69 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const { decodeJson, encodeJson } = require("../../../core/encryption");
+
+const OPERATIONS_INDEX_FILE = "operations-index.json";
+const IMPORT_MANIFEST_FILE = "import-manifest.json";
+const GENERATED_FILES = new Set([OPERATIONS_INDEX_FILE, IMPORT_MANIFEST_FILE]);
+
+async function readStatementDirectory(directory) {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const statements = [];
+  for (const file of files.filter((name) => name.endsWith(".json") && !GENERATED_FILES.has(name)).sort()) {
+    const outputPath = path.join(directory, file);
+    const payload = decodeJson(await fs.readFile(outputPath, "utf8"));
+    if (payload && Array.isArray(payload.operations) && payload.statementId) {
+      statements.push({ ...payload, outputPath });
+    }
+  }
+
+  return statements;
+}
+
+async function readOperationsIndex(directory) {
+  try {
+    const payload = decodeJson(await fs.readFile(path.join(directory, OPERATIONS_INDEX_FILE), "utf8"));
+    return Array.isArray(payload?.operations) ? payload.operations : [];
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readImportManifest(directory) {
+  try {
+    const payload = decodeJson(await fs.readFile(path.join(directory, IMPORT_MANIFEST_FILE), "utf8"));
+    return { ...payload, files: payload?.files || {} };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { files: {} };
+    }
+    throw error;
+  }
+}
+
+async function writeImportManifest(directory, manifest) {
+  const payload = { ...manifest, updatedAt: new Date().toISOString() };
+  await fs.writeFile(path.join(directory, IMPORT_MANIFEST_FILE), encodeJson(payload), "utf8");
+}
+
+module.exports = {
+  IMPORT_MANIFEST_FILE,
+  OPERATIONS_INDEX_FILE,
+  readImportManifest,
+  readOperationsIndex,
+  readStatementDirectory,
+  writeImportManifest,
+};
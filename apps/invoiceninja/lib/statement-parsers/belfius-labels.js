@@ -0,0 +1,90 @@
+const { includesAny } = require("./common");
+
+// Belfius prints the same statement layout in every language; only these labels change.
+// headerLines match whole lines, the other labels match line prefixes. sectionEnd closes an
+// operation's details as well as the list, operationsEnd only the list.
+const BELFIUS_LABELS = {
+  fr: {
+    statementTitle: ["Extrait N°"],
+    closingBalance: ["Solde actuel au "],
+    openingBalance: ["Solde précédent au "],
+    balanceDate: "au",
+    operationsHeader: ["N° Type d'opération"],
+    headerLines: ["Date"],
+    headerContinuations: ["Valeur Montant"],
+    sectionEnd: ["Solde "],
+    operationsEnd: ["Les dépôts "],
+    executionDate: ["Date d'exécution", "Date de l'opération"],
+    communication: ["Communication"],
+    bankReference: ["Référence banque"],
+    orderReference: ["Référence donneur d'ordre"],
+  },
+  nl: {
+    statementTitle: ["Uittreksel nr.", "Uittreksel Nr.", "Uittreksel nr", "Uittreksel Nr"],
+    closingBalance: ["Nieuw saldo op ", "Huidig saldo op "],
+    openingBalance: ["Vorig saldo op "],
+    balanceDate: "op",
+    operationsHeader: ["Nr Type verrichting", "Nr. Type verrichting", "N° Type verrichting"],
+    headerLines: ["Datum"],
+    headerContinuations: ["Valuta Bedrag"],
+    sectionEnd: ["Nieuw saldo ", "Huidig saldo ", "Vorig saldo "],
+    operationsEnd: ["De deposito's "],
+    executionDate: ["Uitvoeringsdatum", "Datum verrichting", "Verrichtingsdatum"],
+    communication: ["Mededeling"],
+    bankReference: ["Referentie bank"],
+    orderReference: ["Referentie opdrachtgever"],
+  },
+  en: {
+    statementTitle: ["Statement No.", "Statement No", "Statement N°"],
+    closingBalance: ["New balance on ", "Current balance on "],
+    openingBalance: ["Previous balance on "],
+    balanceDate: "on",
+    operationsHeader: ["No Type of transaction", "No. Type of transaction", "N° Type of transaction"],
+    headerLines: ["Date"],
+    headerContinuations: ["Value Amount"],
+    sectionEnd: ["New balance ", "Current balance ", "Previous balance "],
+    operationsEnd: ["Deposits "],
+    executionDate: ["Execution date", "Transaction date"],
+    communication: ["Communication", "Message"],
+    bankReference: ["Bank reference"],
+    orderReference: ["Originator's reference", "Principal's reference"],
+  },
+  de: {
+    statementTitle: ["Auszug Nr.", "Kontoauszug Nr.", "Auszug Nr", "Kontoauszug Nr"],
+    closingBalance: ["Neuer Saldo am ", "Aktueller Saldo am "],
+    openingBalance: ["Alter Saldo am ", "Vorheriger Saldo am "],
+    balanceDate: "am",
+    operationsHeader: ["Nr. Art der Transaktion", "Nr Art der Transaktion", "N° Art der Operation"],
+    headerLines: ["Datum"],
+    headerContinuations: ["Valuta Betrag"],
+    sectionEnd: ["Neuer Saldo ", "Aktueller Saldo ", "Alter Saldo ", "Vorheriger Saldo "],
+    operationsEnd: ["Die Einlagen "],
+    executionDate: ["Ausführungsdatum", "Datum der Transaktion"],
+    communication: ["Mitteilung"],
+    bankReference: ["Bankreferenz", "Referenz Bank"],
+    orderReference: ["Referenz Auftraggeber"],
+  },
+};
+
+// Only layout labels count: words such as "Communication" also show up in transaction details.
+const DETECTION_KEYS = ["statementTitle", "closingBalance", "openingBalance", "operationsHeader"];
+
+function detectStatementLanguage(lines) {
+  let best = null;
+
+  Object.entries(BELFIUS_LABELS).forEach(([language, labels]) => {
+    const score = DETECTION_KEYS.filter((key) =>
+      lines.some((line) => includesAny(line, labels[key]))
+    ).length;
+    if (score > 0 && (!best || score > best.score)) {
+      best = { language, score };
+    }
+  });
+
+  return best ? best.language : null;
+}
+
+module.exports = {
+  BELFIUS_LABELS,
+  detectStatementLanguage,
+};
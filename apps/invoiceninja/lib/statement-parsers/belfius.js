@@ -0,0 +1,416 @@
+const { BELFIUS_LABELS, detectStatementLanguage } = require("./belfius-labels");
+const {
+  BIC_REGEX,
+  ISO_DATE_REGEX,
+  consumeValue,
+  includesAny,
+  inferValueDate,
+  isPotentialIbanLine,
+  parseAccountLine,
+  parseEuropeanNumber,
+  parseIbanLine,
+  startsWithAny,
+  toIsoDate,
+} = require("./common");
+
+const VALUE_LINE_REGEX = /^(\d{2})-(\d{2})(?:-(\d{4}))?\s+([\d.,]+)\s*([+-])$/;
+const BELFIUS_BIC = "GKCCBEBB";
+
+function extractStatementMeta(lines) {
+  const language = detectStatementLanguage(lines);
+  if (!language) {
+    throw new Error(
+      `Unable to detect the statement language (supported: ${Object.keys(BELFIUS_LABELS).join(", ")}).`
+    );
+  }
+  const labels = BELFIUS_LABELS[language];
+
+  const ibanIndex = lines.findIndex((line) => isPotentialIbanLine(line));
+  if (ibanIndex === -1) {
+    throw new Error("Unable to locate account IBAN line in statement.");
+  }
+  const accountLine = lines[ibanIndex];
+  const accountName = lines[ibanIndex - 1] || null;
+  const bicLine = lines.find((line) => line.startsWith("BIC "));
+  const statementTitleLine = lines.find((line) => includesAny(line, labels.statementTitle));
+  const closingBalanceLine = lines.find((line) => startsWithAny(line, labels.closingBalance));
+  const openingBalanceLine = lines.find((line) => startsWithAny(line, labels.openingBalance));
+
+  const account = {
+    name: accountName,
+    ...parseAccountLine(accountLine),
+    bic: bicLine ? bicLine.replace("BIC", "").trim() : null,
+  };
+
+  const { statementNumber, statementYear } = parseStatementTitle(statementTitleLine, labels);
+  const balances = {
+    closing: parseBalanceLine(closingBalanceLine, labels),
+    opening: parseBalanceLine(openingBalanceLine, labels),
+  };
+
+  return {
+    language,
+    labels,
+    account,
+    statementNumber,
+    statementYear,
+    balances,
+    operationsHeaderIndex: lines.findIndex((line) => startsWithAny(line, labels.operationsHeader)),
+  };
+}
+
+function extractOperations(lines, statementMeta) {
+  const { labels } = statementMeta;
+  const headerIndex = statementMeta.operationsHeaderIndex;
+  if (headerIndex === -1) {
+    throw new Error(`Unable to find the operations header in the statement (language: ${statementMeta.language}).`);
+  }
+
+  let index = headerIndex + 1;
+  while (
+    lines[index] &&
+    (labels.headerLines.includes(lines[index]) || startsWithAny(lines[index], labels.headerContinuations))
+  ) {
+    index += 1;
+  }
+
+  const operations = [];
+  let currentBookingDate = null;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line) {
+      index += 1;
+      continue;
+    }
+
+    if (
+      startsWithAny(line, labels.sectionEnd) ||
+      startsWithAny(line, labels.operationsEnd) ||
+      line.startsWith("-- ")
+    ) {
+      break;
+    }
+
+    if (line.startsWith("...")) {
+      index += 1;
+      continue;
+    }
+
+    const dateMatch = line.match(ISO_DATE_REGEX);
+    if (dateMatch) {
+      currentBookingDate = toIsoDate(line);
+      index += 1;
+      continue;
+    }
+
+    const operationMatch = line.match(/^(0\d{3})\s+(.+)$/);
+    if (!operationMatch) {
+      index += 1;
+      continue;
+    }
+
+    const sequence = operationMatch[1];
+    const title = operationMatch[2];
+    index += 1;
+
+    const detailLines = [];
+    let valueLine = null;
+
+    while (index < lines.length) {
+      const detailLine = lines[index];
+
+      if (!detailLine) {
+        index += 1;
+        continue;
+      }
+
+      if (startsWithAny(detailLine, labels.sectionEnd) || detailLine.startsWith("-- ")) {
+        break;
+      }
+
+      if (detailLine.startsWith("...")) {
+        index += 1;
+        continue;
+      }
+
+      const bookingDateMatch = detailLine.match(ISO_DATE_REGEX);
+      if (bookingDateMatch) {
+        currentBookingDate = toIsoDate(detailLine);
+        index += 1;
+        continue;
+      }
+
+      if (VALUE_LINE_REGEX.test(detailLine)) {
+        valueLine = detailLine;
+        index += 1;
+        break;
+      }
+
+      const nextOperationMatch = detailLine.match(/^(0\d{3})\s+(.+)$/);
+      if (nextOperationMatch) {
+        break;
+      }
+
+      detailLines.push(detailLine);
+      index += 1;
+    }
+
+    if (!valueLine) {
+      while (index < lines.length) {
+        const fallbackLine = lines[index];
+        if (!fallbackLine) {
+          index += 1;
+          continue;
+        }
+        if (VALUE_LINE_REGEX.test(fallbackLine)) {
+          valueLine = fallbackLine;
+          index += 1;
+        }
+        break;
+      }
+    }
+
+    const operation = buildOperation({
+      sequence,
+      title,
+      bookingDate: currentBookingDate,
+      valueLine,
+      detailLines,
+      currency: statementMeta.account.currency,
+      labels,
+    });
+
+    operations.push({
+      ...operation,
+      rawDetails: {
+        detailLines,
+        valueLine,
+      },
+    });
+  }
+
+  return operations;
+}
+
+function buildOperation({ sequence, title, bookingDate, valueLine, detailLines, currency, labels }) {
+  const detailInfo = parseDetailLines(detailLines, labels);
+  const valueInfo = parseValueLine(valueLine, bookingDate, currency);
+
+  return {
+    sequence,
+    title,
+    bookingDate: bookingDate || valueInfo.valueDate || null,
+    executionDate: detailInfo.executionDate,
+    valueDate: valueInfo.valueDate,
+    amount: valueInfo.amount,
+    currency: valueInfo.currency,
+    direction: valueInfo.direction,
+    communication: detailInfo.communication,
+    bankReference: detailInfo.bankReference,
+    orderReference: detailInfo.orderReference,
+    counterpartyAccount: detailInfo.counterpartyAccount,
+    counterpartyCurrency: detailInfo.counterpartyCurrency,
+    counterpartyBic: detailInfo.counterpartyBic,
+    counterpartyName: detailInfo.counterpartyName,
+    counterpartyAddress: detailInfo.counterpartyAddress,
+    additionalDetails: detailInfo.additionalDetails,
+  };
+}
+
+function parseValueLine(line, bookingDate, currency) {
+  if (!line) {
+    return {
+      valueDate: bookingDate || null,
+      amount: null,
+      currency,
+      direction: null,
+    };
+  }
+
+  const match = line.match(VALUE_LINE_REGEX);
+  if (!match) {
+    return {
+      valueDate: bookingDate || null,
+      amount: null,
+      currency,
+      direction: null,
+    };
+  }
+
+  const [, day, month, yearMaybe, amountString, sign] = match;
+  const inferredDate = inferValueDate({ day, month, yearMaybe, bookingDate });
+  const numericAmount = parseEuropeanNumber(amountString);
+  const signedAmount = sign === "-" ? -numericAmount : numericAmount;
+
+  return {
+    valueDate: inferredDate,
+    amount: signedAmount,
+    currency,
+    direction: sign === "-" ? "debit" : "credit",
+  };
+}
+
+function parseDetailLines(lines, labels = BELFIUS_LABELS.fr) {
+  const details = {
+    executionDate: null,
+    communication: null,
+    bankReference: null,
+    orderReference: null,
+    counterpartyAccount: null,
+    counterpartyCurrency: null,
+    counterpartyBic: null,
+    counterpartyName: null,
+    counterpartyAddress: null,
+    additionalDetails: [],
+  };
+
+  const residual = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (startsWithAny(line, labels.executionDate)) {
+      const consumption = consumeValue(lines, index);
+      details.executionDate = toIsoDate(consumption.value);
+      index = consumption.nextIndex;
+      continue;
+    }
+
+    if (startsWithAny(line, labels.communication)) {
+      const consumption = consumeValue(lines, index);
+      details.communication = consumption.value || details.communication;
+      index = consumption.nextIndex;
+      continue;
+    }
+
+    if (startsWithAny(line, labels.bankReference)) {
+      const consumption = consumeValue(lines, index);
+      details.bankReference = consumption.value || details.bankReference;
+      index = consumption.nextIndex;
+      continue;
+    }
+
+    if (startsWithAny(line, labels.orderReference)) {
+      const consumption = consumeValue(lines, index);
+      details.orderReference = consumption.value || details.orderReference;
+      index = consumption.nextIndex;
+      continue;
+    }
+
+    const ibanParts = parseIbanLine(line);
+    if (ibanParts) {
+      details.counterpartyAccount = ibanParts.iban;
+      details.counterpartyCurrency = ibanParts.currency || details.counterpartyCurrency;
+      continue;
+    }
+
+    const bicCandidate = line.replace(/\s+/g, "");
+    if (BIC_REGEX.test(bicCandidate)) {
+      details.counterpartyBic = bicCandidate;
+      continue;
+    }
+
+    residual.push(line);
+  }
+
+  if (residual.length) {
+    details.counterpartyName = residual.shift();
+    if (residual.length) {
+      details.counterpartyAddress = residual.shift();
+      if (residual.length) {
+        details.additionalDetails.push(...residual);
+      }
+    }
+  }
+
+  return details;
+}
+
+function parseStatementTitle(line, labels) {
+  if (!line) {
+    return {
+      statementNumber: null,
+      statementYear: null,
+    };
+  }
+
+  const title = labels.statementTitle.find((marker) => line.includes(marker));
+  const match = line
+    .slice(line.indexOf(title) + title.length)
+    .match(/^\s+(\d{4})\s*-\s*(\d+)/);
+  if (!match) {
+    return {
+      statementNumber: null,
+      statementYear: null,
+    };
+  }
+
+  return {
+    statementYear: match[1],
+    statementNumber: match[2],
+  };
+}
+
+function parseBalanceLine(line, labels) {
+  if (!line) {
+    return {
+      date: null,
+      amount: null,
+    };
+  }
+
+  const match = line.match(
+    new RegExp(`${labels.balanceDate}\\s+(\\d{2}-\\d{2}-\\d{4})\\s+([\\d.,]+)\\s*([+-])`)
+  );
+  if (!match) {
+    return {
+      date: null,
+      amount: null,
+    };
+  }
+
+  const [, datePart, amountPart, sign] = match;
+  const numericAmount = parseEuropeanNumber(amountPart);
+  const signedAmount = sign === "-" ? -numericAmount : numericAmount;
+
+  return {
+    date: toIsoDate(datePart),
+    amount: signedAmount,
+  };
+}
+
+// The account block above the operations list carries the bank's own BIC; counterparties' BICs only appear below it.
+function readAccountBic(lines) {
+  const headerIndex = lines.findIndex((line) =>
+    Object.values(BELFIUS_LABELS).some((labels) => startsWithAny(line, labels.operationsHeader))
+  );
+  const bicLine = lines.slice(0, headerIndex === -1 ? 0 : headerIndex).find((line) => line.startsWith("BIC "));
+  return bicLine ? bicLine.replace(/\s+/g, "").slice("BIC".length) : null;
+}
+
+// Statements without an account BIC are still recognised by their Belfius headings alone.
+function detect(lines) {
+  const bic = readAccountBic(lines);
+  return (bic === null || bic === BELFIUS_BIC) && detectStatementLanguage(lines) !== null;
+}
+
+function parse(lines) {
+  const statementMeta = extractStatementMeta(lines);
+  return {
+    language: statementMeta.language,
+    account: statementMeta.account,
+    balances: statementMeta.balances,
+    statementNumber: statementMeta.statementNumber,
+    statementYear: statementMeta.statementYear,
+    operations: extractOperations(lines, statementMeta),
+  };
+}
+
+module.exports = {
+  name: "belfius",
+  label: "Belfius",
+  version: 2,
+  detect,
+  parse,
+};
@@ -0,0 +1,234 @@
+const {
+  BIC_REGEX,
+  consumeValue,
+  parseEuropeanNumber,
+  parseIbanLine,
+  startsWithAny,
+} = require("./common");
+
+// BNP Paribas Fortis lists each operation on one line: number, execution date, description,
+// value date and signed amount, followed by its detail lines.
+const OPERATION_LINE_REGEX =
+  /^(\d{4})\s+(\d{2}[-/.]\d{2}[-/.]\d{4})\s+(.*?)\s*(\d{2}[-/.]\d{2}[-/.]\d{4})\s+([+-])?\s*([\d.]+,\d{2})\s*([+-])?(?:\s+[A-Z]{3})?$/;
+const BALANCE_AMOUNT_REGEX = /(?:(\d{2}[-/.]\d{2}[-/.]\d{4})\s+)?([+-])?\s*([\d.]+,\d{2})\s*([+-])?(?:\s+[A-Z]{3})?$/;
+const STATEMENT_TITLE_REGEX = /(?:Extrait|Uittreksel|Statement)\D*?(\d{1,4})\s*[/-]\s*(\d{1,4})/i;
+const ACCOUNT_IBAN_REGEX = /\b(BE\d{2}(?:\s?\d{4}){3})\b(?:\s+([A-Z]{3}))?/;
+const BANK_NAME_LINES = ["BNP Paribas Fortis SA", "BNP Paribas Fortis NV"];
+const BNP_PARIBAS_FORTIS_BIC = "GEBABEBB";
+
+const LABELS = {
+  openingBalance: ["Ancien solde", "Solde d'ouverture", "Vorig saldo", "Oud saldo", "Opening balance", "Previous balance"],
+  closingBalance: ["Nouveau solde", "Solde de clôture", "Nieuw saldo", "Closing balance", "New balance"],
+  communication: ["Communication", "Mededeling", "Message"],
+  bankReference: ["Référence de la banque", "Référence banque", "Bankreferentie", "Referentie bank", "Bank reference"],
+  orderReference: ["Référence donneur d'ordre", "Referentie opdrachtgever", "Originator's reference"],
+  footer: ["Page ", "Blz. ", "Pagina ", ...BANK_NAME_LINES],
+};
+
+function parseDate(value) {
+  const match = (value || "").match(/^(\d{2})[-/.](\d{2})[-/.](\d{4})$/);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+}
+
+// Both markers belong to the statement layout: the bank's name line in the header or footer, and
+// its BIC in the account block above the first operation. Transaction details can mention either.
+function detect(lines) {
+  const firstOperation = lines.findIndex(
+    (line) => OPERATION_LINE_REGEX.test(line) || startsWithAny(line, LABELS.openingBalance)
+  );
+  const accountBlock = lines.slice(0, firstOperation === -1 ? lines.length : firstOperation);
+  const bicLine = accountBlock.find((line) => line.startsWith("BIC "));
+
+  return (
+    lines.some((line) => startsWithAny(line, BANK_NAME_LINES)) &&
+    Boolean(bicLine) &&
+    bicLine.replace(/\s+/g, "") === `BIC${BNP_PARIBAS_FORTIS_BIC}`
+  );
+}
+
+function extractAccount(lines) {
+  const accountIndex = lines.findIndex((line) => ACCOUNT_IBAN_REGEX.test(line));
+  if (accountIndex === -1) {
+    throw new Error("Unable to locate account IBAN line in statement.");
+  }
+
+  const [, iban, currency] = lines[accountIndex].match(ACCOUNT_IBAN_REGEX);
+  const bicLine = lines.find((line) => line.startsWith("BIC "));
+  const nameCandidate = lines[accountIndex - 1] || null;
+
+  return {
+    name: nameCandidate && !ACCOUNT_IBAN_REGEX.test(nameCandidate) ? nameCandidate : null,
+    iban: iban.replace(/\s+/g, ""),
+    currency: currency || "EUR",
+    bic: bicLine ? bicLine.replace("BIC", "").trim() : null,
+  };
+}
+
+function parseStatementTitle(lines) {
+  for (const line of lines) {
+    const match = line.match(STATEMENT_TITLE_REGEX);
+    if (!match) {
+      continue;
+    }
+    const [first, second] = [match[1], match[2]];
+    if (first.length !== 4 && second.length !== 4) {
+      continue;
+    }
+    return first.length === 4
+      ? { statementYear: first, statementNumber: String(Number(second)) }
+      : { statementYear: second, statementNumber: String(Number(first)) };
+  }
+  return { statementNumber: null, statementYear: null };
+}
+
+function parseBalance(lines, prefixes) {
+  const line = lines.find((candidate) => startsWithAny(candidate, prefixes));
+  const match = line ? line.match(BALANCE_AMOUNT_REGEX) : null;
+  if (!match) {
+    return { date: null, amount: null };
+  }
+
+  const [, datePart, leadingSign, amountPart, trailingSign] = match;
+  const amount = parseEuropeanNumber(amountPart);
+  return {
+    date: parseDate(datePart),
+    amount: (leadingSign || trailingSign) === "-" ? -amount : amount,
+  };
+}
+
+function parseDetailLines(lines) {
+  const details = {
+    communication: null,
+    bankReference: null,
+    orderReference: null,
+    counterpartyAccount: null,
+    counterpartyCurrency: null,
+    counterpartyBic: null,
+    counterpartyName: null,
+    counterpartyAddress: null,
+    additionalDetails: [],
+  };
+  const residual = [];
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const field = ["communication", "bankReference", "orderReference"].find((key) =>
+      startsWithAny(line, LABELS[key])
+    );
+
+    if (field) {
+      const consumption = consumeValue(lines, index);
+      details[field] = consumption.value || details[field];
+      index = consumption.nextIndex;
+      continue;
+    }
+
+    const ibanParts = parseIbanLine(line);
+    if (ibanParts) {
+      details.counterpartyAccount = ibanParts.iban;
+      details.counterpartyCurrency = ibanParts.currency || details.counterpartyCurrency;
+      continue;
+    }
+
+    const bicCandidate = line.replace(/^BIC\s*:?\s*/, "").replace(/\s+/g, "");
+    if (line.startsWith("BIC") && BIC_REGEX.test(bicCandidate)) {
+      details.counterpartyBic = bicCandidate;
+      continue;
+    }
+
+    residual.push(line);
+  }
+
+  details.counterpartyName = residual.shift() || null;
+  details.counterpartyAddress = residual.shift() || null;
+  details.additionalDetails.push(...residual);
+  return details;
+}
+
+function extractOperations(lines, currency) {
+  const operations = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) {
+      return;
+    }
+    const detailInfo = parseDetailLines(current.detailLines);
+    operations.push({
+      sequence: current.sequence,
+      title: current.title,
+      bookingDate: current.executionDate || current.valueDate,
+      executionDate: current.executionDate,
+      valueDate: current.valueDate,
+      amount: current.amount,
+      currency,
+      direction: current.amount < 0 ? "debit" : "credit",
+      ...detailInfo,
+      rawDetails: {
+        detailLines: current.detailLines,
+        valueLine: current.operationLine,
+      },
+    });
+    current = null;
+  };
+
+  lines.forEach((line) => {
+    const match = line.match(OPERATION_LINE_REGEX);
+    if (match) {
+      flush();
+      const [, sequence, executionDate, title, valueDate, leadingSign, amountPart, trailingSign] = match;
+      const amount = parseEuropeanNumber(amountPart);
+      current = {
+        sequence,
+        title: title || null,
+        executionDate: parseDate(executionDate),
+        valueDate: parseDate(valueDate),
+        amount: (leadingSign || trailingSign) === "-" ? -amount : amount,
+        operationLine: line,
+        detailLines: [],
+      };
+      return;
+    }
+
+    if (!current) {
+      return;
+    }
+
+    if (startsWithAny(line, [...LABELS.openingBalance, ...LABELS.closingBalance, ...LABELS.footer])) {
+      flush();
+      return;
+    }
+
+    current.detailLines.push(line);
+  });
+
+  flush();
+  return operations;
+}
+
+function parse(lines) {
+  const account = extractAccount(lines);
+  const operations = extractOperations(lines, account.currency);
+  if (!operations.length) {
+    throw new Error("Unable to find any operation lines in the statement.");
+  }
+
+  return {
+    language: null,
+    account,
+    balances: {
+      closing: parseBalance(lines, LABELS.closingBalance),
+      opening: parseBalance(lines, LABELS.openingBalance),
+    },
+    ...parseStatementTitle(lines),
+    operations,
+  };
+}
+
+module.exports = {
+  name: "bnp-paribas-fortis",
+  label: "BNP Paribas Fortis",
+  version: 1,
+  detect,
+  parse,
+};
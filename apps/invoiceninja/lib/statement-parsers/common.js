@@ -0,0 +1,138 @@
+const IBAN_MIN_LENGTH = 14;
+const ISO_DATE_REGEX = /^(\d{2})-(\d{2})-(\d{4})$/;
+const BIC_REGEX = /^([A-Z]{4}[A-Z0-9]{2}[A-Z0-9]{2,3})$/;
+
+function startsWithAny(line, prefixes) {
+  return prefixes.some((prefix) => line.startsWith(prefix));
+}
+
+function includesAny(line, markers) {
+  return markers.some((marker) => line.includes(marker));
+}
+
+function consumeValue(lines, startIndex) {
+  const line = lines[startIndex] || "";
+  const colonIndex = line.indexOf(":");
+  let value = colonIndex === -1 ? "" : line.slice(colonIndex + 1).trim();
+  let nextIndex = startIndex;
+
+  if (!value) {
+    for (let cursor = startIndex + 1; cursor < lines.length; cursor += 1) {
+      const candidate = lines[cursor];
+      if (!candidate) {
+        continue;
+      }
+      if (candidate.includes(":")) {
+        break;
+      }
+      value = candidate.trim();
+      nextIndex = cursor;
+      break;
+    }
+  }
+
+  return { value, nextIndex };
+}
+
+function parseIbanLine(line) {
+  const compact = line.replace(/\s+/g, "");
+  if (compact.length < IBAN_MIN_LENGTH) {
+    return null;
+  }
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) {
+    return null;
+  }
+
+  const matches = line.trim().split(/\s+/);
+  if (!matches.length) {
+    return null;
+  }
+
+  const currencyCandidate = matches[matches.length - 1];
+  if (/^[A-Z]{3}$/.test(currencyCandidate)) {
+    return {
+      iban: compact.slice(0, -currencyCandidate.length),
+      currency: currencyCandidate,
+    };
+  }
+
+  return {
+    iban: compact,
+    currency: null,
+  };
+}
+
+function parseAccountLine(line) {
+  const matches = line.trim().split(/\s+/);
+  if (!matches.length) {
+    throw new Error("Invalid account line in statement.");
+  }
+
+  const currencyCandidate = matches[matches.length - 1];
+  const hasCurrency = /^[A-Z]{3}$/.test(currencyCandidate);
+  const ibanParts = matches.slice(0, hasCurrency ? -1 : undefined).join("");
+
+  return {
+    iban: ibanParts,
+    currency: hasCurrency ? currencyCandidate : null,
+  };
+}
+
+function isPotentialIbanLine(line) {
+  return /^[A-Z]{2}\d{2}/.test(line) && line.length > IBAN_MIN_LENGTH;
+}
+
+function toIsoDate(dateString) {
+  if (!dateString) {
+    return null;
+  }
+  const match = dateString.match(ISO_DATE_REGEX);
+  if (!match) {
+    return null;
+  }
+  const [, day, month, year] = match;
+  return `${year}-${month}-${day}`;
+}
+
+function inferValueDate({ day, month, yearMaybe, bookingDate }) {
+  if (yearMaybe) {
+    return `${yearMaybe}-${month}-${day}`;
+  }
+  if (bookingDate) {
+    const [bookingYear, bookingMonth] = bookingDate.split("-").map((part) => parseInt(part, 10));
+    const valueMonth = parseInt(month, 10);
+    let year = bookingYear;
+    const monthDelta = valueMonth - bookingMonth;
+    if (monthDelta < -6) {
+      year += 1;
+    } else if (monthDelta > 6) {
+      year -= 1;
+    }
+    return `${year}-${month}-${day}`;
+  }
+  return null;
+}
+
+function parseEuropeanNumber(raw) {
+  if (!raw) {
+    return 0;
+  }
+  const normalized = raw.replace(/\./g, "").replace(/\s+/g, "").replace(",", ".");
+  const parsed = parseFloat(normalized);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+module.exports = {
+  BIC_REGEX,
+  IBAN_MIN_LENGTH,
+  ISO_DATE_REGEX,
+  consumeValue,
+  includesAny,
+  inferValueDate,
+  isPotentialIbanLine,
+  parseAccountLine,
+  parseEuropeanNumber,
+  parseIbanLine,
+  startsWithAny,
+  toIsoDate,
+};
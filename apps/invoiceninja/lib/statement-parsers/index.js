@@ -0,0 +1,52 @@
+const belfius = require("./belfius");
+const bnpParibasFortis = require("./bnp-paribas-fortis");
+
+// Parsers are tried in order, so banks with a narrow detect() come before broader ones.
+// Bump a parser's version whenever its output changes so that earlier imports are parsed again.
+const parsers = [];
+
+function registerStatementParser(parser) {
+  if (
+    !parser ||
+    !parser.name ||
+    !Number.isInteger(parser.version) ||
+    typeof parser.detect !== "function" ||
+    typeof parser.parse !== "function"
+  ) {
+    throw new Error("A statement parser needs a name, an integer version, detect(lines) and parse(lines).");
+  }
+  const existing = parsers.findIndex((entry) => entry.name === parser.name);
+  if (existing >= 0) {
+    parsers[existing] = parser;
+  } else {
+    parsers.push(parser);
+  }
+}
+
+function listStatementParsers() {
+  return parsers.slice();
+}
+
+function getStatementParser(name) {
+  const parser = parsers.find((entry) => entry.name === name);
+  if (!parser) {
+    throw new Error(
+      `Unknown statement parser "${name}". Available parsers: ${parsers.map((entry) => entry.name).join(", ")}.`
+    );
+  }
+  return parser;
+}
+
+function findStatementParser(lines) {
+  return parsers.find((parser) => parser.detect(lines)) || null;
+}
+
+registerStatementParser(bnpParibasFortis);
+registerStatementParser(belfius);
+
+module.exports = {
+  findStatementParser,
+  getStatementParser,
+  listStatementParsers,
+  registerStatementParser,
+};
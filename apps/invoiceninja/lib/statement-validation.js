@@ -0,0 +1,150 @@
+const DEFAULT_TOLERANCE_CENTS = 1;
+
+function toCents(value) {
+  return typeof value === "number" && Number.isFinite(value) ? Math.round(value * 100) : null;
+}
+
+function fromCents(cents) {
+  return cents === null ? null : (cents / 100).toFixed(2);
+}
+
+function validateStatementBalance(statement, { toleranceCents = DEFAULT_TOLERANCE_CENTS } = {}) {
+  const opening = toCents(statement.balances?.opening?.amount);
+  const closing = toCents(statement.balances?.closing?.amount);
+  const operations = statement.operations || [];
+  const unparsed = operations.filter((operation) => toCents(operation.amount) === null).length;
+  const movement = operations.reduce((sum, operation) => sum + (toCents(operation.amount) || 0), 0);
+
+  const result = {
+    statementId: statement.statementId,
+    opening: fromCents(opening),
+    closing: fromCents(closing),
+    movement: fromCents(movement),
+    operations: operations.length,
+    unparsed,
+    difference: null,
+    status: "ok",
+  };
+
+  if (opening === null || closing === null) {
+    result.status = "incomplete";
+    result.reason = `missing ${opening === null ? "opening" : "closing"} balance`;
+    return result;
+  }
+
+  const difference = closing - (opening + movement);
+  result.difference = fromCents(difference);
+  if (Math.abs(difference) > toleranceCents) {
+    result.status = "mismatch";
+    result.reason = unparsed
+      ? `${unparsed} operation(s) without an amount`
+      : "operations do not add up to the closing balance";
+  }
+  return result;
+}
+
+function compareStatements(a, b) {
+  return (
+    String(a.statementYear).localeCompare(String(b.statementYear)) ||
+    Number(a.statementNumber) - Number(b.statementNumber)
+  );
+}
+
+function listMissingNumbers(from, to) {
+  const missing = [];
+  for (let number = from; number < to; number += 1) {
+    missing.push(number);
+  }
+  return missing;
+}
+
+function checkStatementContinuity(statements, { toleranceCents = DEFAULT_TOLERANCE_CENTS } = {}) {
+  const byIban = new Map();
+  const unnumbered = [];
+
+  statements.forEach((statement) => {
+    const iban = statement.account?.iban || "unknown";
+    if (!statement.statementYear || !statement.statementNumber) {
+      unnumbered.push({ iban, statementId: statement.statementId });
+      return;
+    }
+    if (!byIban.has(iban)) {
+      byIban.set(iban, []);
+    }
+    byIban.get(iban).push(statement);
+  });
+
+  const accounts = Array.from(byIban.entries()).map(([iban, list]) => {
+    const sorted = list.slice().sort(compareStatements);
+    const gaps = [];
+    const duplicates = [];
+    const balanceBreaks = [];
+
+    for (let i = 1; i < sorted.length; i += 1) {
+      const previous = sorted[i - 1];
+      const current = sorted[i];
+      const previousNumber = Number(previous.statementNumber);
+      const currentNumber = Number(current.statementNumber);
+      const sameYear = previous.statementYear === current.statementYear;
+
+      if (sameYear && currentNumber === previousNumber) {
+        duplicates.push({ year: current.statementYear, number: currentNumber });
+        continue;
+      }
+
+      // Numbering restarts at 1 every year, so a new year is only known to be complete from its first statement on.
+      const missing = sameYear
+        ? listMissingNumbers(previousNumber + 1, currentNumber)
+        : listMissingNumbers(1, currentNumber);
+      if (missing.length) {
+        gaps.push({ year: current.statementYear, missing, before: current.statementId });
+      }
+
+      const previousClosing = toCents(previous.balances?.closing?.amount);
+      const currentOpening = toCents(current.balances?.opening?.amount);
+      if (previousClosing === null || currentOpening === null || missing.length) {
+        continue;
+      }
+      if (Math.abs(currentOpening - previousClosing) > toleranceCents) {
+        balanceBreaks.push({
+          from: previous.statementId,
+          to: current.statementId,
+          previousClosing: fromCents(previousClosing),
+          opening: fromCents(currentOpening),
+          difference: fromCents(currentOpening - previousClosing),
+        });
+      }
+    }
+
+    return {
+      iban,
+      statements: sorted.length,
+      first: sorted[0].statementId,
+      last: sorted[sorted.length - 1].statementId,
+      gaps,
+      duplicates,
+      balanceBreaks,
+    };
+  });
+
+  return { accounts, unnumbered };
+}
+
+function validateStatements(statements, options = {}) {
+  const balances = statements.map((statement) => validateStatementBalance(statement, options));
+  const continuity = checkStatementContinuity(statements, options);
+  const problems =
+    balances.filter((result) => result.status !== "ok").length +
+    continuity.accounts.reduce(
+      (sum, account) => sum + account.gaps.length + account.duplicates.length + account.balanceBreaks.length,
+      0
+    );
+
+  return { balances, continuity, problems };
+}
+
+module.exports = {
+  checkStatementContinuity,
+  validateStatementBalance,
+  validateStatements,
+};
@@ -6,6 +6,12 @@ const path = require("path");
 const axios = require("axios");
 const https = require("https");
 
+const { decodeJson } = require("../../core/encryption");
+const { listIncomingPayments, loadAllLedgers } = require("../../core/ledger");
+const { getSqliteStore } = require("../../core/snapshot-store");
+const { installHttpRecorder } = require("../../core/http-recorder");
+const { describeProvenance, normaliseTransactions } = require("../../core/transaction-model");
+
 const STATUS_LABELS = {
   1: "Draft",
   2: "Sent",
@@ -26,6 +32,7 @@ function parseOptions(argv) {
     insecure:
       process.env.INVOICE_NINJA_ALLOW_INSECURE === "1" ? true : false,
     verbose: false,
+    includeLedger: false,
     since: process.env.INVOICE_MATCH_SINCE || null,
   };
 
@@ -53,6 +60,11 @@ function parseOptions(argv) {
       continue;
     }
 
+    if (arg === "--include-ledger") {
+      opts.includeLedger = true;
+      continue;
+    }
+
     if (arg === "--since") {
       opts.since = argv[i + 1] || null;
       i += 1;
@@ -84,9 +96,14 @@ function printHelp() {
     "  --insecure             Skip TLS verification (self-hosted only)"
   );
   console.log("  --verbose              Show detailed match candidates");
+  console.log(
+    "  --include-ledger       Also match booked GoCardless transactions from data/ledger"
+  );
   console.log(
     "  --since <YYYY-MM-DD>   Limit invoices with invoice_date on/after this date"
   );
+  console.log("  --record <dir>         Save HTTP exchanges (tokens redacted) to <dir>");
+  console.log("  --replay <dir>         Answer HTTP requests from a --record directory");
   console.log("  -h, --help             Show this help message");
 }
 
@@ -209,6 +226,23 @@ async function fetchAllInvoices({
   return invoices;
 }
 
+function prepareCreditOperations(operations, context) {
+  return normaliseTransactions(operations, context).filter(
+    (operation) => operation.direction === "credit" && operation.amount !== null
+  );
+}
+
+async function loadLedgerCredits() {
+  const ledgers = await loadAllLedgers();
+  return ledgers.flatMap((ledger) =>
+    prepareCreditOperations(ledger.transactions, {
+      alias: ledger.alias,
+      accountId: ledger.accountId,
+      source: "gocardless",
+    })
+  );
+}
+
 function loadOperations(indexPath) {
   const resolvedPath = path.resolve(indexPath);
   if (!fs.existsSync(resolvedPath)) {
@@ -217,23 +251,26 @@ function loadOperations(indexPath) {
     );
   }
 
-  const data = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  const data = decodeJson(fs.readFileSync(resolvedPath, "utf8"));
   const operations = Array.isArray(data.operations)
     ? data.operations
     : [];
 
-  return operations
-    .filter(
-      (operation) =>
-        sanitize(operation.direction).toLowerCase() === "credit" &&
-        operation.amount !== null &&
-        operation.amount !== undefined
-    )
-    .map((operation) => ({
-      ...operation,
-      amount: Number(operation.amount),
-      bookingDate: operation.bookingDate || operation.valueDate || null,
-    }));
+  return prepareCreditOperations(operations, { source: "pdf" });
+}
+
+function createOperationLookup(store, operations, ledgerCredits = []) {
+  if (store) {
+    return (amount) => [
+      ...prepareCreditOperations(
+        store.queryOperations({ direction: "credit", amount, tolerance: 0.001 }),
+        { source: "pdf" }
+      ),
+      ...ledgerCredits,
+    ];
+  }
+  const all = [...operations, ...ledgerCredits];
+  return () => all;
 }
 
 function buildReferenceString(operation) {
@@ -321,7 +358,7 @@ function computeConfidence({ daysDiff, refScore, nameScore, targetLabel }) {
   return Math.max(10, Math.min(99, Math.round(score)));
 }
 
-function findMatchesForInvoice(invoice, operations) {
+function findMatchesForInvoice(invoice, lookupOperations) {
   const amount = parseNumber(invoice.amount) || 0;
   const balance = parseNumber(invoice.balance) || 0;
   const paidAmount = amount - balance;
@@ -355,13 +392,13 @@ function findMatchesForInvoice(invoice, operations) {
   const candidates = [];
 
   targets.forEach((target) => {
-    operations.forEach((operation) => {
+    lookupOperations(target.value).forEach((operation) => {
       const opAmount = roundCurrency(operation.amount);
       if (Math.abs(opAmount - target.value) > 0.001) {
         return;
       }
 
-      const operationKey = `${operation.statementId}:${operation.sequence || operation.bankReference || operation.bookingDate}:${target.label}`;
+      const operationKey = `${operation.source}:${operation.id}:${target.label}`;
       if (seenOperationIds.has(operationKey)) {
         return;
       }
@@ -420,7 +457,19 @@ function findMatchesForInvoice(invoice, operations) {
   return candidates.slice(0, 5);
 }
 
+function findIncomingForInvoice(invoice, incomingPayments) {
+  const balance = roundCurrency(parseNumber(invoice.balance) || 0);
+  if (balance <= 0) {
+    return [];
+  }
+
+  return incomingPayments.filter(
+    (entry) => Math.abs(roundCurrency(entry.amount) - balance) <= 0.001
+  );
+}
+
 async function main() {
+  installHttpRecorder();
   const options = parseOptions(process.argv.slice(2));
 
   const token = requireEnv("INVOICE_NINJA_KEY");
@@ -430,13 +479,17 @@ async function main() {
     process.env.OPERATIONS_INDEX_PATH ||
     path.join(__dirname, "..", "..", "data", "statements", "pdf", "operations-index.json");
 
-  const operations = loadOperations(operationsIndex);
+  const store = getSqliteStore();
+  const operations = store ? [] : loadOperations(operationsIndex);
 
-  if (!operations.length) {
+  if (!store && !operations.length) {
     console.error("No credit operations found in statements index.");
     process.exit(1);
   }
 
+  const ledgerCredits = options.includeLedger ? await loadLedgerCredits() : [];
+  const lookupOperations = createOperationLookup(store, operations, ledgerCredits);
+
   const invoices = await fetchAllInvoices({
     baseUrl,
     token,
@@ -461,11 +514,35 @@ async function main() {
     return;
   }
 
+  if (store) {
+    store.upsertInvoices(filteredInvoices);
+  }
+
+  const incomingPayments = await listIncomingPayments();
+
   let matchedCount = 0;
 
   filteredInvoices.forEach((invoice) => {
-    const matches = findMatchesForInvoice(invoice, operations);
-    if (!matches.length) {
+    const matches = findMatchesForInvoice(invoice, lookupOperations);
+    const incoming = findIncomingForInvoice(invoice, incomingPayments);
+
+    if (store) {
+      matches.forEach((candidate) => {
+        store.recordMatch({
+          invoiceId: invoice.id,
+          candidateType: candidate.operation.source === "pdf" ? "operation" : "transaction",
+          candidateKey: candidate.operation.id,
+          confidence: candidate.confidence,
+          details: {
+            targetLabel: candidate.targetLabel,
+            daysDiff: candidate.daysDiff,
+            refScore: candidate.refScore,
+            nameScore: candidate.nameScore,
+          },
+        });
+      });
+    }
+    if (!matches.length && !incoming.length) {
       return;
     }
 
@@ -495,7 +572,7 @@ async function main() {
       const parts = [
         `  ${index === 0 ? "-" : " "} match ${index + 1}:`,
         `${candidate.targetLabel}`,
-        `statement ${op.statementId || "?"} seq ${op.sequence || "?"}`,
+        describeProvenance(op),
         `date ${op.bookingDate || "?"}`,
         `amount ${roundCurrency(op.amount).toFixed(2)}`,
       ];
@@ -528,6 +605,16 @@ async function main() {
       }
     });
 
+    incoming.forEach((entry) => {
+      console.log(
+        `  ⏳ payment incoming • pending ${roundCurrency(entry.amount).toFixed(2)} on ${
+          entry.alias
+        } since ${entry.date || entry.firstSeenAt.split("T")[0]}${
+          entry.counterparty ? ` • from ${entry.counterparty}` : ""
+        }`
+      );
+    });
+
     console.log("");
   });
 
@@ -4,6 +4,8 @@ require("dotenv").config();
 const axios = require("axios");
 const https = require("https");
 
+const { installHttpRecorder } = require("../../core/http-recorder");
+
 const TARGET_INVOICES = [
   { number: "250004", paymentDate: "2025-04-04" },
   { number: "250001", paymentDate: "2025-01-04" },
@@ -66,6 +68,8 @@ function printHelp() {
   console.log("  --apply            Actually create payments (default is dry-run)");
   console.log("  --invoice <number> Process only the given invoice number");
   console.log("  --insecure         Skip TLS verification for self-hosted instances");
+  console.log("  --record <dir>     Save HTTP exchanges (tokens redacted) to <dir>");
+  console.log("  --replay <dir>     Answer HTTP requests from a --record directory");
   console.log("  -h, --help         Show this help message");
 }
 
@@ -131,6 +135,7 @@ async function createPayment({
 }
 
 async function main() {
+  installHttpRecorder();
   const options = parseArgs(process.argv.slice(2));
 
   const token = requireEnv("INVOICE_NINJA_KEY");
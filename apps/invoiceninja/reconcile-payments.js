@@ -4,10 +4,15 @@
  *
  * Usage: node apps/invoiceninja/reconcile-payments.js --sql "ninja-2025-10-10 19_37_48.sql"
  */
+require("dotenv").config();
 
 const fs = require("fs");
 const path = require("path");
 
+const { decodeJson } = require("../../core/encryption");
+const { getSqliteStore } = require("../../core/snapshot-store");
+const { normaliseTransactions } = require("../../core/transaction-model");
+
 const DEFAULT_SQL = "ninja-2025-10-10 19_37_48.sql";
 const STATEMENTS_INDEX =
   process.env.OPERATIONS_INDEX_PATH ||
@@ -180,14 +185,21 @@ function parseTable(sqlContent, tableName) {
 }
 
 function loadStatements(indexPath) {
+  const store = getSqliteStore();
+  if (store) {
+    return normaliseTransactions(store.queryOperations(), { source: "pdf" });
+  }
+
   const resolved = path.resolve(indexPath);
   if (!fs.existsSync(resolved)) {
     throw new Error(
       `Statements index not found at ${resolved}. Run the importer first.`
     );
   }
-  const data = JSON.parse(fs.readFileSync(resolved, "utf8"));
-  return Array.isArray(data.operations) ? data.operations : [];
+  const data = decodeJson(fs.readFileSync(resolved, "utf8"));
+  return normaliseTransactions(Array.isArray(data.operations) ? data.operations : [], {
+    source: "pdf",
+  });
 }
 
 function roundCurrency(value) {
@@ -215,17 +227,18 @@ function findMatches(payment, operations) {
       (operation) =>
         operation &&
         operation.amount !== null &&
-        roundCurrency(Number(operation.amount)) === amount
+        roundCurrency(operation.amount) === amount
     )
     .map((operation) => ({
-      statementId: operation.statementId,
-      sequence: operation.sequence,
-      bookingDate: operation.bookingDate || operation.valueDate,
+      source: operation.source,
+      statementId: operation.provenance.statementId,
+      sequence: operation.provenance.sequence,
+      bookingDate: operation.bookingDate,
       communication: operation.communication || "",
       counterpartyName: operation.counterpartyName || "",
       counterpartyAccount: operation.counterpartyAccount || "",
       bankReference: operation.bankReference || "",
-      dateDelta: diffDays(operation.bookingDate || operation.valueDate, paymentDate),
+      dateDelta: diffDays(operation.bookingDate, paymentDate),
     }))
     .filter((match) => {
       if (match.dateDelta === null) {
@@ -300,13 +313,15 @@ function main() {
       .filter(
         (operation) =>
           operation &&
-          roundCurrency(Number(operation.amount)) === amount
+          operation.amount !== null &&
+          roundCurrency(operation.amount) === amount
       )
       .map((operation) => ({
-        statementId: operation.statementId,
-        sequence: operation.sequence,
-        bookingDate: operation.bookingDate || operation.valueDate,
-        amount: roundCurrency(Number(operation.amount)),
+        source: operation.source,
+        statementId: operation.provenance.statementId,
+        sequence: operation.provenance.sequence,
+        bookingDate: operation.bookingDate,
+        amount: roundCurrency(operation.amount),
         communication: operation.communication || "",
         bankReference: operation.bankReference || "",
       }))
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+
+const { readStatementDirectory } = require("./lib/statement-files");
+const { validateStatements } = require("./lib/statement-validation");
+
+const DEFAULT_STATEMENTS_DIR = path.join("data", "statements", "pdf");
+
+function parseArgs(argv) {
+  const options = {
+    dir: DEFAULT_STATEMENTS_DIR,
+    iban: null,
+    toleranceCents: 1,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--dir") {
+      options.dir = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--dir=")) {
+      options.dir = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--iban") {
+      options.iban = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--iban=")) {
+      options.iban = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--tolerance") {
+      options.toleranceCents = Math.round(Number(argv[i + 1]) * 100);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--tolerance=")) {
+      options.toleranceCents = Math.round(Number(arg.split("=")[1]) * 100);
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function printReport(report) {
+  const failing = report.balances.filter((result) => result.status !== "ok");
+  console.log(
+    `Balance check: ${report.balances.length - failing.length}/${report.balances.length} statement(s) add up`
+  );
+  failing.forEach((result) => {
+    const icon = result.status === "mismatch" ? "❌" : "❔";
+    const figures =
+      result.status === "mismatch"
+        ? ` • ${result.opening} + ${result.movement} ≠ ${result.closing} (off by ${result.difference})`
+        : "";
+    console.log(`  ${icon} ${result.statementId}: ${result.reason}${figures}`);
+  });
+
+  report.continuity.accounts.forEach((account) => {
+    console.log(
+      `\n${account.iban}: ${account.statements} statement(s) from ${account.first} to ${account.last}`
+    );
+    account.gaps.forEach((gap) => {
+      console.log(`  ❌ ${gap.year}: missing statement(s) ${gap.missing.join(", ")} before ${gap.before}`);
+    });
+    account.duplicates.forEach((duplicate) => {
+      console.log(`  ⚠️  ${duplicate.year}: statement ${duplicate.number} imported more than once`);
+    });
+    account.balanceBreaks.forEach((entry) => {
+      console.log(
+        `  ❌ ${entry.to} opens at ${entry.opening} but ${entry.from} closed at ${entry.previousClosing} (off by ${entry.difference})`
+      );
+    });
+    if (!account.gaps.length && !account.duplicates.length && !account.balanceBreaks.length) {
+      console.log("  ✅ numbering and balances run on without gaps");
+    }
+  });
+
+  if (report.continuity.unnumbered.length) {
+    console.log(
+      `\n${report.continuity.unnumbered.length} statement(s) without a statement number were left out of the continuity check: ${report.continuity.unnumbered
+        .map((entry) => entry.statementId)
+        .join(", ")}`
+    );
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Checks the statements written by import-statements.js: every statement's opening balance plus
+its operations must equal its closing balance, statement numbers must run on per IBAN and year,
+and each opening balance must equal the previous closing balance.
+
+Options:
+  --dir <path>         Directory with imported statement JSON files (default: ${DEFAULT_STATEMENTS_DIR})
+  --iban <iban>        Only check statements of this account
+  --tolerance <amount> Accepted difference in currency units (default: 0.01)
+  --json               Print the report as JSON
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const compactIban = (iban) => (iban || "").replace(/\s+/g, "").toUpperCase();
+  const statements = (await readStatementDirectory(options.dir)).filter(
+    (statement) => !options.iban || compactIban(statement.account?.iban) === compactIban(options.iban)
+  );
+  if (!statements.length) {
+    console.log(`No imported statements found in ${options.dir}.`);
+    return;
+  }
+
+  const report = validateStatements(statements, options);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  if (report.problems) {
+    if (!options.json) {
+      console.log(`\n${report.problems} problem(s) found; the PDF archive is incomplete or a statement was misparsed.`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("Statement validation failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
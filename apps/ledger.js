@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const path = require("path");
+
+const { loadAccountsConfig } = require("../core/config");
+const { ledgerPath, rebuildLedger, syncLedger } = require("../core/ledger");
+const { listStatementAliases } = require("../core/snapshot-store");
+
+function parseArgs(argv) {
+  const options = {
+    accountAlias: null,
+    rebuild: false,
+    transactions: false,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--account" || arg === "-a") {
+      options.accountAlias = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--account=")) {
+      options.accountAlias = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--rebuild") {
+      options.rebuild = true;
+      continue;
+    }
+
+    if (arg === "--transactions") {
+      options.transactions = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function describeTransaction(transaction) {
+  return [
+    transaction.bookingDate || transaction.valueDate || "?",
+    `${transaction.transactionAmount?.amount ?? "?"} ${transaction.transactionAmount?.currency || ""}`.trim(),
+    transaction.debtorName || transaction.creditorName || "-",
+    transaction.key,
+    `from ${(transaction.sources || []).join(", ") || "unknown"}`,
+  ].join(" • ");
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Merges every saved statements file in data/statements into one deduplicated ledger per
+account (data/ledger/<alias>.json), keeping track of the files each transaction came from.
+
+Options:
+  --account <alias>    Only process the given alias (defaults to every alias with statements)
+  --rebuild            Rebuild the ledger from scratch instead of merging new files only
+  --transactions       List the ledger transactions with their source files
+  --json               Print the ledgers as JSON
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const accountsConfig = await loadAccountsConfig().catch(() => ({}));
+  const aliases = options.accountAlias ? [options.accountAlias] : await listStatementAliases();
+
+  if (!aliases.length) {
+    console.log("No statements found in data/statements. Run node apps/fetch-statements.js first.");
+    return;
+  }
+
+  const results = [];
+  for (const alias of aliases) {
+    const accountId = accountsConfig[alias]?.accountId;
+    const result = options.rebuild
+      ? await rebuildLedger(alias, { accountId })
+      : await syncLedger(alias, { accountId });
+    results.push({ alias, ...result });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ ledger }) => ledger), null, 2));
+    return;
+  }
+
+  results.forEach(({ alias, ledger, added, merged }) => {
+    const dates = ledger.transactions.map((entry) => entry.bookingDate || entry.valueDate).filter(Boolean);
+    console.log(`\n${alias} -> ${path.relative(process.cwd(), ledgerPath(alias))}`);
+    console.log(
+      `  ${ledger.transactions.length} transaction(s)${
+        dates.length ? ` from ${dates[0]} to ${dates[dates.length - 1]}` : ""
+      } merged from ${ledger.sources.length} statement file(s)`
+    );
+    console.log(`  ${merged} file(s) merged in this run, ${added} new transaction(s)`);
+    if (options.transactions) {
+      ledger.transactions.forEach((transaction) => console.log(`  ${describeTransaction(transaction)}`));
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error("Ledger update failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const { loadAllLedgers, syncLedger } = require("../core/ledger");
+const { DEFAULT_SQLITE_PATH, openSqliteStore } = require("../core/sqlite-store");
+const { jsonStatementBackend, readJson } = require("../core/snapshot-store");
+
+const DEFAULT_PDF_DIR = path.join("data", "statements", "pdf");
+
+function parseArgs(argv) {
+  const options = {
+    db: process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH,
+    pdfDir: DEFAULT_PDF_DIR,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--db") {
+      options.db = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--db=")) {
+      options.db = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--pdf-dir") {
+      options.pdfDir = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--pdf-dir=")) {
+      options.pdfDir = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+async function listJsonFiles(directory) {
+  try {
+    return (await fs.readdir(directory)).filter((file) => file.endsWith(".json")).sort();
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function importStatements(store) {
+  const entries = await jsonStatementBackend.index();
+  for (const entry of entries) {
+    store.saveStatements(entry.source, await jsonStatementBackend.read(entry));
+  }
+  return entries;
+}
+
+async function importTransactions(store, aliases) {
+  const known = new Set((await loadAllLedgers()).map((ledger) => ledger.alias));
+  aliases.forEach((alias) => known.add(alias));
+
+  let count = 0;
+  for (const alias of known) {
+    const { ledger } = await syncLedger(alias, { save: false });
+    store.upsertAccount({ alias, accountId: ledger.accountId });
+    count += store.upsertTransactions(alias, ledger.transactions);
+  }
+  return { count, aliases: known.size };
+}
+
+async function importOperations(store, pdfDir) {
+  const operations = [];
+
+  for (const file of await listJsonFiles(pdfDir)) {
+    const payload = await readJson(path.join(pdfDir, file));
+    if (Array.isArray(payload?.operations) && file === "operations-index.json") {
+      operations.push(...payload.operations);
+      continue;
+    }
+    if (!payload?.statementId || !Array.isArray(payload.operations)) {
+      continue;
+    }
+    payload.operations.forEach((operation) => {
+      const { rawDetails, ...rest } = operation;
+      operations.push({
+        statementId: payload.statementId,
+        statementFile: file,
+        accountIban: payload.account?.iban || null,
+        accountName: payload.account?.name || null,
+        statementYear: payload.statementYear,
+        statementNumber: payload.statementNumber,
+        ...rest,
+      });
+    });
+  }
+
+  return store.upsertOperations(operations.filter((operation) => operation.statementId));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Imports the JSON data tree (data/statements, data/ledger and the PDF operations) into the
+SQLite store. Run it again at any time: rows are upserted. Set STORAGE_BACKEND=sqlite to
+make the other tools read and write the store.
+
+Options:
+  --db <path>          SQLite file to write (defaults to SQLITE_PATH or data/store.sqlite)
+  --pdf-dir <dir>      Directory holding the imported PDF statements (default: data/statements/pdf)
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const store = openSqliteStore({ filePath: path.resolve(options.db) });
+  try {
+    const statements = await importStatements(store);
+    const aliases = [...new Set(statements.map((entry) => entry.alias).filter(Boolean))];
+    const transactions = await importTransactions(store, aliases);
+    const operations = await importOperations(store, options.pdfDir);
+
+    console.log(`Imported into ${path.relative(process.cwd(), store.filePath)}:`);
+    console.log(`  ${statements.length} statements file(s)`);
+    console.log(
+      `  ${transactions.count} ledger transaction(s) across ${transactions.aliases} alias(es)`
+    );
+    console.log(`  ${operations} PDF operation(s)`);
+    console.log(`Store now holds ${JSON.stringify(store.countRows())}`);
+  } finally {
+    store.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("Migration failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+const path = require("path");
+
+const { loadAllLedgers, loadLedger } = require("../core/ledger");
+
+const STATUS_ICONS = {
+  pending: "⏳",
+  booked: "✅",
+  changed: "✏️",
+  vanished: "❌",
+};
+
+function parseArgs(argv) {
+  const options = {
+    accountAlias: null,
+    includeBooked: false,
+    json: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--account" || arg === "-a") {
+      options.accountAlias = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--account=")) {
+      options.accountAlias = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--include-booked") {
+      options.includeBooked = true;
+      continue;
+    }
+
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+function describeEntry(entry) {
+  const parts = [
+    `${STATUS_ICONS[entry.status] || "?"} ${entry.status}`,
+    `${entry.date || "?"}`,
+    `${entry.amount ?? "?"} ${entry.currency || ""}`.trim(),
+  ];
+
+  if (entry.originalAmount !== null && entry.originalAmount !== entry.amount) {
+    parts.push(`was ${entry.originalAmount}`);
+  }
+  if (entry.counterparty) {
+    parts.push(entry.counterparty);
+  }
+  if (entry.reference) {
+    parts.push(`ref ${entry.reference}`);
+  }
+  parts.push(`seen ${entry.firstSeenAt.split("T")[0]} -> ${entry.lastSeenAt.split("T")[0]}`);
+  if (entry.bookedKey) {
+    parts.push(`booked as ${entry.bookedKey}`);
+  }
+
+  return parts.join(" • ");
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Lists pending transactions tracked in data/ledger, flagging those that disappeared
+or changed amount before booking.
+
+Options:
+  --account <alias>    Only report the given alias (defaults to every ledger)
+  --include-booked     Also list pending transactions that were booked
+  --json               Print the tracked entries as JSON
+  -h, --help           Show this help
+`);
+    return;
+  }
+
+  const ledgers = options.accountAlias
+    ? [await loadLedger(options.accountAlias)]
+    : await loadAllLedgers();
+
+  const report = ledgers.map((ledger) => ({
+    alias: ledger.alias,
+    entries: (ledger.pending || []).filter(
+      (entry) => options.includeBooked || entry.status !== "booked"
+    ),
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  if (!report.length) {
+    console.log("No ledgers found in data/ledger. Run node apps/fetch-statements.js first.");
+    return;
+  }
+
+  report.forEach(({ alias, entries }) => {
+    console.log(`\n${alias}`);
+    if (!entries.length) {
+      console.log("  no tracked pending transactions");
+      return;
+    }
+    entries.forEach((entry) => console.log(`  ${describeEntry(entry)}`));
+  });
+
+  const problems = report.flatMap(({ entries }) =>
+    entries.filter((entry) => entry.status === "vanished" || entry.status === "changed")
+  );
+  if (problems.length) {
+    console.log(`\n${problems.length} pending transaction(s) disappeared or changed amount.`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Pending report failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,13 +1,35 @@
 #!/usr/bin/env node
+require("dotenv").config();
+
 const fs = require("fs").promises;
 const path = require("path");
 
-const { getLatestStatements } = require("../../core/snapshot-store");
+const { loadAccountsConfig } = require("../../core/config");
+const { decodeJson } = require("../../core/encryption");
+const { ledgerPath, syncLedger } = require("../../core/ledger");
+const { listOpenPending } = require("../../core/pending-tracker");
+const { getSqliteStore, listStatementAliases } = require("../../core/snapshot-store");
+const {
+  describeProvenance,
+  normaliseStatementPayload,
+  normaliseTransactions,
+} = require("../../core/transaction-model");
 const rentConfig = require("./rent-config");
 
+const SOURCES = ["ledger", "pdf", "all"];
+const DEFAULT_OPERATIONS_INDEX =
+  process.env.OPERATIONS_INDEX_PATH ||
+  path.join(process.cwd(), "data", "statements", "pdf", "operations-index.json");
+
 function parseArgs(argv) {
   const options = {
     file: null,
+    accountAlias: rentConfig.accountAlias || process.env.GOCARDLESS_ACTIVE_ACCOUNT || null,
+    source: "ledger",
+    indexPath: DEFAULT_OPERATIONS_INDEX,
+    months: rentConfig.monthsToCheck || 3,
+    from: null,
+    to: null,
     help: false,
   };
 
@@ -25,6 +47,72 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--account" || arg === "-a") {
+      options.accountAlias = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--account=")) {
+      options.accountAlias = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--source" || arg === "-s") {
+      options.source = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--source=")) {
+      options.source = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--index") {
+      options.indexPath = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--index=")) {
+      options.indexPath = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--months") {
+      options.months = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--months=")) {
+      options.months = Number(arg.split("=")[1]);
+      continue;
+    }
+
+    if (arg === "--from") {
+      options.from = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--from=")) {
+      options.from = arg.split("=")[1];
+      continue;
+    }
+
+    if (arg === "--to") {
+      options.to = argv[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--to=")) {
+      options.to = arg.split("=")[1];
+      continue;
+    }
+
     if (arg === "--help" || arg === "-h") {
       options.help = true;
       continue;
@@ -48,54 +136,102 @@ function getMonthRange(anchorDate, offset) {
   return { start, end };
 }
 
+function parseMonth(value, flag) {
+  const match = /^(\d{4})-(\d{2})/.exec(value || "");
+  if (!match) {
+    throw new Error(`${flag} expects a month as YYYY-MM, got "${value}"`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, 1);
+}
+
+function resolvePeriod(options) {
+  if (!options.from) {
+    if (options.to) {
+      throw new Error("--to needs --from");
+    }
+    if (!Number.isInteger(options.months) || options.months < 1) {
+      throw new Error("--months expects a positive whole number");
+    }
+    return { anchor: new Date(), months: options.months };
+  }
+
+  const from = parseMonth(options.from, "--from");
+  const to = options.to ? parseMonth(options.to, "--to") : new Date();
+  const months =
+    (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth()) + 1;
+  if (months < 1) {
+    throw new Error("--from must not be after --to");
+  }
+  return { anchor: to, months };
+}
+
 function toIsoDate(date) {
   return date.toISOString().split("T")[0];
 }
 
-function analysePayments(transactions = []) {
+function readPendingDate(transaction) {
+  return transaction.bookingDate || transaction.valueDate || transaction.raw?.transactionDate || null;
+}
+
+function analysePayments(transactions = [], pendingTransactions = [], period = {}) {
   const tolerance = rentConfig.amountTolerance ?? 0.01;
   const expected = rentConfig.expectedPayments || [];
+  const booked = normaliseTransactions(transactions);
+  const pending = normaliseTransactions(pendingTransactions, { status: "pending" });
 
-  const now = new Date();
-  const months = rentConfig.monthsToCheck || 3;
+  const anchor = period.anchor || new Date();
+  const months = period.months || rentConfig.monthsToCheck || 3;
 
   const summary = [];
 
   for (let i = 0; i < months; i += 1) {
-    const { start, end } = getMonthRange(now, i);
+    const { start, end } = getMonthRange(anchor, i);
     const monthLabel = start.toLocaleString("en-US", { month: "long", year: "numeric" });
 
-    const monthTxs = transactions.filter((transaction) => {
+    const monthTxs = booked.filter((transaction) => {
       const bookingDate = new Date(transaction.bookingDate);
-      return (
-        bookingDate >= start &&
-        bookingDate <= end &&
-        parseFloat(transaction.transactionAmount?.amount || 0) > 0
-      );
+      return bookingDate >= start && bookingDate <= end && transaction.amount > 0;
+    });
+
+    const monthPending = pending.filter((transaction) => {
+      const pendingDate = readPendingDate(transaction);
+      const inMonth = pendingDate
+        ? new Date(pendingDate) >= start && new Date(pendingDate) <= end
+        : i === 0;
+      return inMonth && transaction.amount > 0;
     });
 
     const used = new Set();
+    const usedPending = new Set();
     const statuses = expected.map((expectedPayment) => {
       const targetAmount = expectedPayment.amount;
-      const match = monthTxs.find((tx) => {
-        const amount = parseFloat(tx.transactionAmount?.amount || 0);
-        const id = tx.transactionId;
-        return (
-          Math.abs(amount - targetAmount) <= tolerance &&
-          !used.has(id)
-        );
-      });
+      const match = monthTxs.find(
+        (tx) => Math.abs(tx.amount - targetAmount) <= tolerance && !used.has(tx.id)
+      );
 
       if (match) {
-        used.add(match.transactionId);
+        used.add(match.id);
+      }
+
+      const incoming = match
+        ? null
+        : monthPending.find(
+            (tx) => Math.abs(tx.amount - targetAmount) <= tolerance && !usedPending.has(tx)
+          );
+
+      if (incoming) {
+        usedPending.add(incoming);
       }
 
       return {
         ...expectedPayment,
         paid: Boolean(match),
+        incoming: Boolean(incoming),
+        incomingDate: incoming ? readPendingDate(incoming) : null,
         bookingDate: match?.bookingDate || null,
-        counterpart: match?.debtorName || match?.creditorName || null,
-        remittance: match?.remittanceInformationUnstructured || null,
+        counterpart: match?.counterpartyName || incoming?.counterpartyName || null,
+        remittance: match?.communication || null,
+        source: match ? describeProvenance(match) : null,
       };
     });
 
@@ -110,24 +246,147 @@ function analysePayments(transactions = []) {
   return summary;
 }
 
-async function loadStatements(filePath) {
-  if (filePath) {
-    const resolved = path.isAbsolute(filePath)
-      ? filePath
-      : path.join(process.cwd(), filePath);
-    const content = await fs.readFile(resolved, "utf8");
-    return { data: JSON.parse(content), location: resolved };
+async function resolveStatementAlias(alias) {
+  if (alias) {
+    return alias;
   }
 
-  const latest = await getLatestStatements();
-  if (!latest) {
+  const aliases = await listStatementAliases();
+  if (aliases.length > 1) {
+    throw new Error(
+      `Statements exist for several accounts (${aliases.join(", ")}). Choose one with --account.`
+    );
+  }
+  return aliases[0] || null;
+}
+
+function compactIban(iban) {
+  return (iban || "").replace(/\s+/g, "").toUpperCase();
+}
+
+async function loadStatementFile(filePath) {
+  const resolved = path.isAbsolute(filePath)
+    ? filePath
+    : path.join(process.cwd(), filePath);
+  const data = decodeJson(await fs.readFile(resolved, "utf8"));
+  return {
+    ...normaliseStatementPayload(data, { file: path.basename(resolved) }),
+    location: resolved,
+  };
+}
+
+async function loadLedgerStatements(alias) {
+  const accountAlias = await resolveStatementAlias(alias);
+  if (!accountAlias) {
     throw new Error(
       "No statements available. Run node apps/fetch-statements.js to fetch or provide --file."
     );
   }
 
-  const content = await fs.readFile(latest, "utf8");
-  return { data: JSON.parse(content), location: latest };
+  const accountsConfig = await loadAccountsConfig().catch(() => ({}));
+  const { ledger } = await syncLedger(accountAlias, {
+    accountId: accountsConfig[accountAlias]?.accountId,
+    save: false,
+  });
+  if (!ledger.transactions.length) {
+    throw new Error(
+      `No statements available for "${accountAlias}". Run node apps/fetch-statements.js --account ${accountAlias} or provide --file.`
+    );
+  }
+
+  const context = { alias: accountAlias, accountId: ledger.accountId };
+  return {
+    booked: normaliseTransactions(ledger.transactions, context),
+    pending: normaliseTransactions(
+      listOpenPending(ledger.pending).map((entry) => entry.transaction),
+      { ...context, status: "pending" }
+    ),
+    location: `${ledgerPath(accountAlias)} (${ledger.sources.length} statement file(s))`,
+  };
+}
+
+async function resolveAccountIban(alias) {
+  if (!alias) {
+    throw new Error("PDF operations cover several accounts; pass --account <alias> to pick one.");
+  }
+  const accountsConfig = await loadAccountsConfig();
+  const iban = accountsConfig[alias]?.iban;
+  if (!iban) {
+    throw new Error(
+      `No iban configured for "${alias}" in config/accounts.json; it is needed to select its PDF operations.`
+    );
+  }
+  return iban;
+}
+
+async function loadPdfOperations(indexPath, alias) {
+  const accountIban = await resolveAccountIban(alias);
+  const store = getSqliteStore();
+  let booked;
+  let location;
+
+  if (store) {
+    booked = normaliseTransactions(store.queryOperations({ accountIban }), { source: "pdf" });
+    location = `${store.filePath} (PDF operations)`;
+  } else {
+    const resolved = path.resolve(indexPath);
+    let data;
+    try {
+      data = decodeJson(await fs.readFile(resolved, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `Operations index not found at ${resolved}. Run node apps/invoiceninja/import-statements.js first.`
+        );
+      }
+      throw error;
+    }
+    booked = normaliseStatementPayload(data).booked.filter(
+      (operation) => compactIban(operation.provenance.accountIban) === compactIban(accountIban)
+    );
+    location = resolved;
+  }
+
+  if (!booked.length) {
+    throw new Error(
+      `No PDF operations found for ${alias} (${accountIban}). Import statements first.`
+    );
+  }
+
+  return { booked, pending: [], location };
+}
+
+function earliestBookingDate(transactions) {
+  return transactions.reduce((earliest, transaction) => {
+    const date = transaction.bookingDate;
+    return date && (!earliest || date < earliest) ? date : earliest;
+  }, null);
+}
+
+async function loadStatements(options) {
+  if (options.file) {
+    return loadStatementFile(options.file);
+  }
+
+  if (options.source === "ledger") {
+    return loadLedgerStatements(options.accountAlias);
+  }
+
+  if (options.source === "pdf") {
+    return loadPdfOperations(options.indexPath, options.accountAlias);
+  }
+
+  const ledger = await loadLedgerStatements(options.accountAlias);
+  const pdf = await loadPdfOperations(options.indexPath, options.accountAlias);
+  // Both sources describe the same account, so PDF history only fills in the months before the ledger starts.
+  const ledgerStart = earliestBookingDate(ledger.booked);
+  const older = pdf.booked.filter((operation) => operation.bookingDate < ledgerStart);
+
+  return {
+    booked: [...older, ...ledger.booked],
+    pending: ledger.pending,
+    location: `${pdf.location} (${older.length} operation(s) before ${ledgerStart}) and ${ledger.location}`,
+  };
 }
 
 async function main() {
@@ -137,35 +396,77 @@ async function main() {
     console.log(`Usage: node ${path.relative(
       process.cwd(),
       __filename
-    )} [--file <statements.json>]
+    )} [--source ledger|pdf|all] [--from YYYY-MM] [--to YYYY-MM] [options]
+
+Checks rent payments against apps/rent/rent-config.js. By default it reads the account's ledger
+in data/ledger, merged from every saved statements file. Use --source pdf to read the operations
+index written by import-statements.js instead, which goes back much further than the API window.
 
-Reads the latest saved statements (or the provided JSON file) and checks rent payments
-against the expectations defined in apps/rent/rent-config.js.
+Options:
+  --source <source>    ledger (default), pdf, or all (PDF history before the ledger's first booking)
+  --account <alias>    Account alias to analyse (defaults to accountAlias in rent-config.js);
+                       --source pdf|all keeps the operations of its iban in config/accounts.json
+  --index <path>       Operations index for --source pdf|all
+                       (default: OPERATIONS_INDEX_PATH or data/statements/pdf/operations-index.json)
+  --months <n>         Number of months to check, ending with the current month
+                       (default: monthsToCheck in rent-config.js)
+  --from <YYYY-MM>     First month to check, e.g. to audit several years
+  --to <YYYY-MM>       Last month to check (default: the current month)
+  --file <path>        Analyse a specific JSON file instead: a GoCardless statements file,
+                       or a PDF statement/operations index written by import-statements.js
+  -h, --help           Show this help
 `);
     return;
   }
 
-  const { data, location } = await loadStatements(options.file);
-  const booked = data?.transactions?.transactions?.booked || [];
+  if (!SOURCES.includes(options.source)) {
+    throw new Error(`Unknown --source "${options.source}". Use one of: ${SOURCES.join(", ")}.`);
+  }
+
+  const period = resolvePeriod(options);
+  const { booked, pending, location } = await loadStatements(options);
 
-  const summary = analysePayments(booked);
+  const summary = analysePayments(booked, pending, period);
+
+  const dataStart = earliestBookingDate(booked);
+  let missing = 0;
+  let uncovered = 0;
 
   console.log(`Analysing statements from ${location}`);
   summary.forEach((monthSummary) => {
     console.log(`\n${monthSummary.month} (${monthSummary.periodStart} -> ${monthSummary.periodEnd})`);
+    if (!dataStart || monthSummary.periodEnd < dataStart) {
+      uncovered += 1;
+      console.log("❔ no statements cover this month");
+      return;
+    }
     monthSummary.statuses.forEach((status) => {
-      const prefix = status.paid ? "✅" : "❌";
+      if (!status.paid && !status.incoming) {
+        missing += 1;
+      }
+      const prefix = status.paid ? "✅" : status.incoming ? "⏳" : "❌";
       const details = [];
       details.push(`€${status.amount.toFixed(2)} - ${status.label}`);
       if (status.bookingDate) {
         details.push(`paid on ${status.bookingDate}`);
       }
+      if (status.incoming) {
+        details.push(`payment incoming${status.incomingDate ? ` (pending since ${status.incomingDate})` : ""}`);
+      }
       if (status.counterpart) {
         details.push(`by ${status.counterpart}`);
       }
       console.log(`${prefix} ${details.join(" ")}`);
     });
   });
+
+  if (summary.length > 3) {
+    console.log(
+      `\n${missing} missing payment(s) over ${summary.length - uncovered} month(s)${
+        uncovered ? `, ${uncovered} month(s) without statements` : ""
+      }`
+    );
+  }
 }
 
 main().catch((error) => {
@@ -1,4 +1,5 @@
 module.exports = {
+  accountAlias: "belfius",
   expectedPayments: [
     { amount: 590, label: "Unit 1" },
     { amount: 565, label: "Unit 2" },
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const fs = require("fs").promises;
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const { encodeJson } = require("../core/encryption");
+const { renameLedgerSources } = require("../core/ledger");
+const {
+  DEFAULT_DAILY_DAYS,
+  DEFAULT_KEEP_LATEST,
+  describeFile,
+  extractBookedKeys,
+  planRetention,
+  protectSoleCopies,
+} = require("../core/retention");
+const { SNAPSHOT_ROOT, STATEMENT_ROOT, getSqliteStore, readJson } = require("../core/snapshot-store");
+
+const gzip = promisify(zlib.gzip);
+
+const ARCHIVE_ROOT = path.join(process.cwd(), "data", "archive");
+const TARGETS = {
+  statements: STATEMENT_ROOT,
+  snapshots: SNAPSHOT_ROOT,
+};
+
+function readPositiveInteger(value, flag) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${flag} expects a non-negative integer`);
+  }
+  return parsed;
+}
+
+function readTarget(value) {
+  if (!TARGETS[value]) {
+    throw new Error(`--only expects one of: ${Object.keys(TARGETS).join(", ")}`);
+  }
+  return value;
+}
+
+function parseArgs(argv) {
+  const options = {
+    dailyDays: Number(process.env.RETENTION_DAILY_DAYS) || DEFAULT_DAILY_DAYS,
+    monthlyMonths: process.env.RETENTION_MONTHLY_MONTHS
+      ? Number(process.env.RETENTION_MONTHLY_MONTHS)
+      : null,
+    keepLatest: DEFAULT_KEEP_LATEST,
+    targets: Object.keys(TARGETS),
+    apply: false,
+    gzip: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--daily-days") {
+      options.dailyDays = readPositiveInteger(argv[i + 1], arg);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--daily-days=")) {
+      options.dailyDays = readPositiveInteger(arg.split("=")[1], "--daily-days");
+      continue;
+    }
+
+    if (arg === "--monthly-months") {
+      options.monthlyMonths = readPositiveInteger(argv[i + 1], arg);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--monthly-months=")) {
+      options.monthlyMonths = readPositiveInteger(arg.split("=")[1], "--monthly-months");
+      continue;
+    }
+
+    if (arg === "--keep-latest") {
+      options.keepLatest = readPositiveInteger(argv[i + 1], arg);
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--keep-latest=")) {
+      options.keepLatest = readPositiveInteger(arg.split("=")[1], "--keep-latest");
+      continue;
+    }
+
+    if (arg === "--only") {
+      options.targets = [readTarget(argv[i + 1])];
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("--only=")) {
+      options.targets = [readTarget(arg.split("=")[1])];
+      continue;
+    }
+
+    if (arg === "--apply") {
+      options.apply = true;
+      continue;
+    }
+
+    if (arg === "--dry-run") {
+      options.apply = false;
+      continue;
+    }
+
+    if (arg === "--gzip") {
+      options.gzip = true;
+      continue;
+    }
+
+    if (arg === "--verbose" || arg === "-v") {
+      options.verbose = true;
+      continue;
+    }
+
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+  }
+
+  return options;
+}
+
+async function listTargetFiles(directory) {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const described = [];
+  for (const file of files.filter((name) => name.endsWith(".json")).sort()) {
+    const stat = await fs.stat(path.join(directory, file));
+    described.push(describeFile(file, stat.mtimeMs));
+  }
+  return described;
+}
+
+async function writeArchive(target, fileName, contents) {
+  const archiveDir = path.join(ARCHIVE_ROOT, target);
+  const archivePath = path.join(archiveDir, `${fileName}.gz`);
+  await fs.mkdir(archiveDir, { recursive: true });
+  await fs.writeFile(archivePath, await gzip(contents));
+  return path.relative(path.dirname(ARCHIVE_ROOT), archivePath);
+}
+
+async function removeFile(directory, target, fileName, archive) {
+  const filePath = path.join(directory, fileName);
+  const archivePath = archive ? await writeArchive(target, fileName, await fs.readFile(filePath)) : null;
+  await fs.unlink(filePath);
+  return archivePath;
+}
+
+async function removeSqliteStatements(store, fileName, archive) {
+  const archivePath = archive
+    ? await writeArchive("statements", fileName, encodeJson(store.readStatements(fileName)))
+    : null;
+  store.deleteStatements(fileName);
+  return archivePath;
+}
+
+function openTarget(target) {
+  const store = target === "statements" ? getSqliteStore() : null;
+  if (store) {
+    return {
+      label: `${path.relative(process.cwd(), store.filePath)} (statements)`,
+      list: async () =>
+        store.listStatements().map((row) => describeFile(row.source, Date.parse(row.fetchedAt) || Date.now())),
+      read: async (entry) => store.readStatements(entry.fileName),
+      remove: (entry, archive) => removeSqliteStatements(store, entry.fileName, archive),
+    };
+  }
+
+  const directory = TARGETS[target];
+  return {
+    label: path.relative(process.cwd(), directory),
+    list: () => listTargetFiles(directory),
+    read: (entry) => readJson(path.join(directory, entry.fileName)),
+    remove: (entry, archive) => removeFile(directory, target, entry.fileName, archive),
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`Usage: node ${path.relative(process.cwd(), __filename)} [options]
+
+Applies the retention policy to data/statements (or the SQLite statements table when
+STORAGE_BACKEND=sqlite) and data/snapshots: keeps the newest file of every day for the last
+--daily-days, then the newest file of every month. A file that holds the only copy of a
+booked transaction is always kept, and ledgers in data/ledger are updated to point at the
+archive (or drop the source) of every removed file. Runs as a dry-run unless --apply is given.
+
+Options:
+  --daily-days <n>       Keep one file per day for this many days (default: ${DEFAULT_DAILY_DAYS})
+  --monthly-months <n>   Drop monthly files older than this many months (default: keep all)
+  --keep-latest <n>      Always keep the newest n files of each account (default: ${DEFAULT_KEEP_LATEST})
+  --only <target>        Only process statements or snapshots
+  --apply                Delete (or archive) the files instead of listing them
+  --dry-run              List what would be removed (default)
+  --gzip                 Move removed files to data/archive/<target>/*.json.gz instead of deleting
+  -v, --verbose          Also list the files that are kept and why
+  -h, --help             Show this help
+`);
+    return;
+  }
+
+  const renames = new Map();
+  let removedCount = 0;
+  let keptCount = 0;
+
+  for (const target of options.targets) {
+    const handler = openTarget(target);
+    const files = await handler.list();
+    if (!files.length) {
+      continue;
+    }
+
+    const plan = await protectSoleCopies(planRetention(files, options), async (entry) =>
+      extractBookedKeys(await handler.read(entry))
+    );
+
+    console.log(`\n${handler.label}`);
+    for (const entry of plan.sort((a, b) => a.series.localeCompare(b.series) || a.timestamp - b.timestamp)) {
+      if (entry.keep) {
+        keptCount += 1;
+        if (options.verbose) {
+          console.log(`  keep    ${entry.fileName} (${entry.reason})`);
+        }
+        continue;
+      }
+
+      removedCount += 1;
+      const action = options.gzip ? "archive" : "delete";
+      console.log(`  ${action} ${entry.fileName} (${entry.reason})`);
+      if (options.apply) {
+        renames.set(entry.fileName, await handler.remove(entry, options.gzip));
+      }
+    }
+  }
+
+  if (options.apply && renames.size) {
+    const updated = await renameLedgerSources(renames);
+    if (updated.length) {
+      console.log(`\nUpdated provenance in ledger(s): ${updated.join(", ")}`);
+    }
+  }
+
+  console.log(
+    `\n${keptCount} file(s) kept, ${removedCount} file(s) ${
+      options.apply ? (options.gzip ? "archived" : "deleted") : "would be removed (dry-run, use --apply)"
+    }`
+  );
+}
+
+main().catch((error) => {
+  console.error("Retention failed:");
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,66 @@
+function sanitizeIban(value) {
+  return value ? value.replace(/\s+/g, "").toUpperCase() : null;
+}
+
+function extractIban(details) {
+  return sanitizeIban(
+    details?.account?.iban ||
+      details?.account?.cashAccount?.iban ||
+      details?.account?.details?.iban ||
+      details?.iban
+  );
+}
+
+async function listLinkedAccounts(client, requisition) {
+  const accountIds = Array.isArray(requisition?.accounts) ? requisition.accounts : [];
+  const linked = [];
+
+  for (const accountId of accountIds) {
+    const details = await client.getAccountDetails(accountId);
+    linked.push({
+      accountId,
+      iban: extractIban(details),
+      name: details?.account?.name || details?.account?.ownerName || null,
+      currency: details?.account?.currency || null,
+    });
+  }
+
+  return linked;
+}
+
+function selectAliasAccount(linkedAccounts, accountConfig) {
+  const targetIban = sanitizeIban(accountConfig?.iban);
+
+  if (targetIban) {
+    return linkedAccounts.find((account) => account.iban === targetIban) || null;
+  }
+
+  return linkedAccounts.length === 1 ? linkedAccounts[0] : null;
+}
+
+async function buildLinkedAccountPatch(client, requisition, accountConfig) {
+  const linkedAccounts = await listLinkedAccounts(client, requisition);
+  const selected = selectAliasAccount(linkedAccounts, accountConfig);
+
+  if (!selected) {
+    const ibans = linkedAccounts.map((account) => account.iban || account.accountId).join(", ");
+    throw new Error(
+      accountConfig?.iban
+        ? `No account matching IBAN ${accountConfig.iban} found for requisition ${requisition.id} (linked: ${ibans || "none"})`
+        : `Requisition ${requisition.id} links ${linkedAccounts.length} account(s) (${ibans || "none"}); set iban on the alias to pick one`
+    );
+  }
+
+  return {
+    accountId: selected.accountId,
+    iban: selected.iban || accountConfig?.iban || null,
+  };
+}
+
+module.exports = {
+  buildLinkedAccountPatch,
+  extractIban,
+  listLinkedAccounts,
+  sanitizeIban,
+  selectAliasAccount,
+};
@@ -0,0 +1,162 @@
+const { syncLedger } = require("./ledger");
+const { listStatements, readStatements } = require("./snapshot-store");
+const { normaliseTransactions } = require("./transaction-model");
+
+const BOOKED_BALANCE_TYPES = ["closingBooked", "interimBooked"];
+const DEFAULT_TOLERANCE_CENTS = 1;
+
+function toCents(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.round(parsed * 100) : null;
+}
+
+function fromCents(cents) {
+  return cents === null ? null : (cents / 100).toFixed(2);
+}
+
+function extractBalanceObservations(entry, payload) {
+  const balances = Array.isArray(payload?.balances?.balances) ? payload.balances.balances : [];
+  const observedAt = payload?.fetchedAt || entry.fetchedAt || null;
+
+  return balances
+    .map((balance) => ({
+      alias: payload?.accountAlias || entry.alias,
+      accountId: payload?.accountId || entry.accountId || null,
+      balanceType: balance.balanceType || "unknown",
+      cents: toCents(balance.balanceAmount?.amount),
+      currency: balance.balanceAmount?.currency || null,
+      referenceDate:
+        balance.referenceDate ||
+        (balance.lastChangeDateTime || observedAt || "").split("T")[0] ||
+        null,
+      observedAt,
+      source: entry.source,
+    }))
+    .filter((observation) => observation.cents !== null && observation.referenceDate);
+}
+
+function dedupeObservations(observations) {
+  const seen = new Set();
+  return observations.filter((observation) => {
+    const key = [observation.balanceType, observation.referenceDate, observation.cents].join("|");
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+function mergeCoverage(entries) {
+  const ranges = entries
+    .filter((entry) => entry.dateFrom && entry.dateTo)
+    .map((entry) => ({ from: entry.dateFrom, to: entry.dateTo }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= shiftDay(last.to, 1)) {
+      last.to = range.to > last.to ? range.to : last.to;
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+function shiftDay(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+function isCovered(coverage, from, to) {
+  return coverage.some((range) => range.from <= from && range.to >= to);
+}
+
+async function buildBalanceHistory(alias) {
+  const entries = await listStatements({ alias });
+  const observations = [];
+
+  for (const entry of entries) {
+    observations.push(...extractBalanceObservations(entry, await readStatements(entry)));
+  }
+
+  const sorted = dedupeObservations(observations).sort(
+    (a, b) =>
+      a.balanceType.localeCompare(b.balanceType) ||
+      a.referenceDate.localeCompare(b.referenceDate) ||
+      String(a.observedAt).localeCompare(String(b.observedAt))
+  );
+
+  return { alias, observations: sorted, coverage: mergeCoverage(entries) };
+}
+
+function checkBalanceContinuity(history, transactions, options = {}) {
+  const types = options.types || BOOKED_BALANCE_TYPES;
+  const tolerance = options.toleranceCents ?? DEFAULT_TOLERANCE_CENTS;
+  const booked = normaliseTransactions(transactions)
+    .map((transaction) => ({
+      date: transaction.bookingDate || transaction.valueDate || null,
+      cents: toCents(transaction.amount),
+    }))
+    .filter((transaction) => transaction.date && transaction.cents !== null);
+
+  const checks = [];
+  types.forEach((balanceType) => {
+    const series = history.observations.filter((observation) => observation.balanceType === balanceType);
+
+    for (let i = 1; i < series.length; i += 1) {
+      const previous = series[i - 1];
+      const next = series[i];
+      const between = booked.filter(
+        (transaction) => transaction.date > previous.referenceDate && transaction.date <= next.referenceDate
+      );
+      const movement = between.reduce((sum, transaction) => sum + transaction.cents, 0);
+      const difference = next.cents - (previous.cents + movement);
+      const covered =
+        previous.referenceDate === next.referenceDate ||
+        isCovered(history.coverage, shiftDay(previous.referenceDate, 1), next.referenceDate);
+
+      let status = "ok";
+      if (Math.abs(difference) > tolerance) {
+        status = covered ? "gap" : "uncovered";
+      }
+
+      checks.push({
+        alias: history.alias,
+        balanceType,
+        from: previous.referenceDate,
+        to: next.referenceDate,
+        previous: fromCents(previous.cents),
+        next: fromCents(next.cents),
+        movement: fromCents(movement),
+        transactions: between.length,
+        difference: fromCents(difference),
+        currency: next.currency || previous.currency,
+        status,
+        sources: [previous.source, next.source],
+      });
+    }
+  });
+
+  return checks;
+}
+
+async function runBalanceChecks(alias, options = {}) {
+  const history = await buildBalanceHistory(alias);
+  const { ledger } = await syncLedger(alias, { save: false });
+  return {
+    history,
+    checks: checkBalanceContinuity(history, ledger.transactions, options),
+  };
+}
+
+module.exports = {
+  BOOKED_BALANCE_TYPES,
+  buildBalanceHistory,
+  checkBalanceContinuity,
+  extractBalanceObservations,
+  fromCents,
+  runBalanceChecks,
+};
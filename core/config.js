@@ -15,14 +15,44 @@ async function loadAccountsConfig() {
     return parsed;
   } catch (error) {
     if (error.code === "ENOENT") {
-      throw new Error(
+      const missing = new Error(
         "config/accounts.json not found. Copy config/accounts.sample.json and populate your account metadata."
       );
+      missing.code = "ENOENT";
+      throw missing;
     }
     throw error;
   }
 }
 
+async function saveAccountsConfig(accountsConfig) {
+  await fs.mkdir(path.dirname(ACCOUNTS_PATH), { recursive: true });
+  const tempPath = `${ACCOUNTS_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(accountsConfig, null, 2)}\n`, "utf8");
+  await fs.rename(tempPath, ACCOUNTS_PATH);
+  return ACCOUNTS_PATH;
+}
+
+async function updateAccountEntry(alias, patch) {
+  if (!alias) {
+    throw new Error("Account alias is required");
+  }
+
+  let accountsConfig;
+  try {
+    accountsConfig = await loadAccountsConfig();
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    accountsConfig = {};
+  }
+
+  accountsConfig[alias] = { ...(accountsConfig[alias] || {}), ...patch };
+  await saveAccountsConfig(accountsConfig);
+  return accountsConfig[alias];
+}
+
 function resolveAccount(accountsConfig, alias) {
   if (!alias) {
     throw new Error("Account alias is required");
@@ -46,5 +76,7 @@ function resolveAccount(accountsConfig, alias) {
 module.exports = {
   ACCOUNTS_PATH,
   loadAccountsConfig,
+  saveAccountsConfig,
+  updateAccountEntry,
   resolveAccount,
 };
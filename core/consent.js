@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+const DEFAULT_ACCESS_VALID_FOR_DAYS = 90;
+const DEFAULT_WARN_DAYS = 14;
+const LINK_POLL_INTERVAL_MS = 5 * 1000;
+const LINK_TIMEOUT_MS = 15 * 60 * 1000;
+const FAILED_REQUISITION_STATUSES = new Set(["RJ", "SU", "EX"]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function buildReference(institutionId) {
+  const sanitized = institutionId.replace(/[^A-Za-z0-9]/g, "").toLowerCase();
+  const randomSuffix = crypto.randomUUID().split("-")[0];
+  return `${sanitized}_${randomSuffix}`;
+}
+
+function computeConsentExpiry(createdAt, accessValidForDays = DEFAULT_ACCESS_VALID_FOR_DAYS) {
+  if (!createdAt) {
+    return null;
+  }
+
+  const expiry = new Date(createdAt);
+  expiry.setDate(expiry.getDate() + Number(accessValidForDays));
+  return expiry.toISOString();
+}
+
+async function createConsent(
+  client,
+  { institutionId, redirect, accessValidForDays = DEFAULT_ACCESS_VALID_FOR_DAYS }
+) {
+  const agreement = await client.createEndUserAgreement({ institutionId, accessValidForDays });
+  const requisition = await client.createRequisition({
+    redirect,
+    institutionId,
+    reference: buildReference(institutionId),
+    agreementId: agreement.id,
+  });
+
+  const createdAt = agreement.created || new Date().toISOString();
+
+  return {
+    agreement,
+    requisition,
+    consent: {
+      requisitionId: requisition.id,
+      agreementId: agreement.id,
+      reference: requisition.reference,
+      createdAt,
+      expiresAt: computeConsentExpiry(createdAt, agreement.access_valid_for_days || accessValidForDays),
+    },
+  };
+}
+
+async function waitForLinkedRequisition(
+  client,
+  requisitionId,
+  { intervalMs = LINK_POLL_INTERVAL_MS, timeoutMs = LINK_TIMEOUT_MS } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const requisition = await client.getRequisition(requisitionId);
+
+    if (requisition.status === "LN") {
+      return requisition;
+    }
+
+    if (FAILED_REQUISITION_STATUSES.has(requisition.status)) {
+      throw new Error(
+        `Requisition ${requisitionId} ended in status ${requisition.status} before it was linked`
+      );
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Timed out waiting for requisition ${requisitionId} to be linked (last status ${requisition.status})`
+      );
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+async function confirmLinkedConsent(client, consent, waitOptions) {
+  const requisition = await waitForLinkedRequisition(client, consent.requisitionId, waitOptions);
+  const agreement = await client.getAgreement(consent.agreementId);
+  const createdAt = agreement.accepted || consent.createdAt;
+
+  return {
+    requisition,
+    consent: {
+      ...consent,
+      createdAt,
+      expiresAt: computeConsentExpiry(
+        createdAt,
+        agreement.access_valid_for_days || DEFAULT_ACCESS_VALID_FOR_DAYS
+      ),
+    },
+  };
+}
+
+function buildActiveConsentPatch(consent) {
+  return {
+    requisitionId: consent.requisitionId,
+    agreementId: consent.agreementId,
+    consentCreatedAt: consent.createdAt,
+    consentExpiresAt: consent.expiresAt,
+    pendingConsent: undefined,
+  };
+}
+
+function describeConsentStatus(entry, { now = new Date(), warnDays = DEFAULT_WARN_DAYS } = {}) {
+  if (!entry?.consentExpiresAt) {
+    return { state: "unknown", daysLeft: null, expiresAt: null };
+  }
+
+  const expiresAt = new Date(entry.consentExpiresAt);
+  const daysLeft = Math.floor((expiresAt.getTime() - now.getTime()) / MS_PER_DAY);
+
+  if (expiresAt <= now) {
+    return { state: "expired", daysLeft, expiresAt: entry.consentExpiresAt };
+  }
+
+  if (daysLeft <= warnDays) {
+    return { state: "expiring", daysLeft, expiresAt: entry.consentExpiresAt };
+  }
+
+  return { state: "valid", daysLeft, expiresAt: entry.consentExpiresAt };
+}
+
+module.exports = {
+  DEFAULT_ACCESS_VALID_FOR_DAYS,
+  DEFAULT_WARN_DAYS,
+  buildActiveConsentPatch,
+  buildReference,
+  computeConsentExpiry,
+  confirmLinkedConsent,
+  createConsent,
+  describeConsentStatus,
+  waitForLinkedRequisition,
+};
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const ALGORITHM = "aes-256-gcm";
+const ENVELOPE_VERSION = 1;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+let cachedKey;
+
+function parseKey(raw, origin) {
+  const value = String(raw).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== KEY_BYTES) {
+    throw new Error(
+      `${origin} must hold a ${KEY_BYTES}-byte key as 64 hex characters or base64. Generate one with node apps/data-crypt.js generate-key.`
+    );
+  }
+  return key;
+}
+
+function loadEncryptionKey(env = process.env) {
+  if (env.DATA_ENCRYPTION_KEY) {
+    return parseKey(env.DATA_ENCRYPTION_KEY, "DATA_ENCRYPTION_KEY");
+  }
+  if (env.DATA_ENCRYPTION_KEY_FILE) {
+    return parseKey(fs.readFileSync(env.DATA_ENCRYPTION_KEY_FILE, "utf8"), env.DATA_ENCRYPTION_KEY_FILE);
+  }
+  return null;
+}
+
+function getEncryptionKey() {
+  if (cachedKey === undefined) {
+    cachedKey = loadEncryptionKey();
+  }
+  return cachedKey;
+}
+
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString("base64");
+}
+
+function isEncryptedEnvelope(value) {
+  return Boolean(
+    value &&
+      typeof value === "object" &&
+      value.encrypted === ALGORITHM &&
+      typeof value.iv === "string" &&
+      typeof value.tag === "string" &&
+      typeof value.data === "string"
+  );
+}
+
+function encryptJson(payload, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+
+  return {
+    encrypted: ALGORITHM,
+    version: ENVELOPE_VERSION,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decryptEnvelope(envelope, key) {
+  if (!key) {
+    throw new Error(
+      "Encrypted data found but no key is configured. Set DATA_ENCRYPTION_KEY or DATA_ENCRYPTION_KEY_FILE."
+    );
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  try {
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch (error) {
+    throw new Error("Could not decrypt data: wrong key or the file was tampered with");
+  }
+}
+
+// Keyed hash for values that must stay searchable by equality (e.g. IBAN columns) without being stored in clear.
+function hashLookupValue(value, key) {
+  return crypto.createHmac("sha256", key).update(`lookup:${value}`).digest("hex");
+}
+
+function encodeJson(payload, { key = getEncryptionKey(), space = 2 } = {}) {
+  return JSON.stringify(key ? encryptJson(payload, key) : payload, null, space);
+}
+
+function decodeJson(text, { key = getEncryptionKey() } = {}) {
+  const parsed = JSON.parse(text);
+  return isEncryptedEnvelope(parsed) ? decryptEnvelope(parsed, key) : parsed;
+}
+
+module.exports = {
+  decodeJson,
+  decryptEnvelope,
+  encodeJson,
+  encryptJson,
+  generateKey,
+  getEncryptionKey,
+  hashLookupValue,
+  isEncryptedEnvelope,
+  loadEncryptionKey,
+};
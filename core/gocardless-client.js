@@ -1,6 +1,27 @@
 const axios = require("axios");
 
 const DEFAULT_BASE_URL = "https://bankaccountdata.gocardless.com/api/v2";
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// Access tokens normally live 24h; assume a bit less when the response omits access_expires.
+const DEFAULT_ACCESS_EXPIRES_SECONDS = 23 * 60 * 60;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10 * 1000;
+const LIST_PAGE_SIZE = 100;
+
+class RateLimitError extends Error {
+  constructor(message, { url, rateLimit, cause } = {}) {
+    super(message);
+    this.name = "RateLimitError";
+    this.url = url || null;
+    this.rateLimit = rateLimit || null;
+    this.resetAt = rateLimit?.resetAt || null;
+    if (cause) {
+      this.cause = cause;
+      this.response = cause.response;
+    }
+  }
+}
 
 function createError(message, cause) {
   const error = new Error(message);
@@ -11,10 +32,87 @@ function createError(message, cause) {
   return error;
 }
 
+function readHeaderNumber(headers, names) {
+  for (const name of names) {
+    const value = headers[name] ?? headers[name.toLowerCase()];
+    if (value !== undefined && value !== null && value !== "") {
+      const parsed = Number(value);
+      if (Number.isFinite(parsed)) {
+        return parsed;
+      }
+    }
+  }
+  return null;
+}
+
+function parseRateLimitHeaders(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const plain = typeof headers.toJSON === "function" ? headers.toJSON() : headers;
+  const limit = readHeaderNumber(plain, [
+    "HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_LIMIT",
+    "HTTP_X_RATELIMIT_LIMIT",
+    "X-RateLimit-Limit",
+  ]);
+  const remaining = readHeaderNumber(plain, [
+    "HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_REMAINING",
+    "HTTP_X_RATELIMIT_REMAINING",
+    "X-RateLimit-Remaining",
+  ]);
+  const resetSeconds = readHeaderNumber(plain, [
+    "HTTP_X_RATELIMIT_ACCOUNT_SUCCESS_RESET",
+    "HTTP_X_RATELIMIT_RESET",
+    "X-RateLimit-Reset",
+    "Retry-After",
+  ]);
+
+  if (limit === null && remaining === null && resetSeconds === null) {
+    return null;
+  }
+
+  return {
+    limit,
+    remaining,
+    resetSeconds,
+    resetAt:
+      resetSeconds === null
+        ? null
+        : new Date(Date.now() + resetSeconds * 1000).toISOString(),
+    observedAt: new Date().toISOString(),
+  };
+}
+
+function isTransientError(error) {
+  if (!error.response) {
+    return Boolean(error.request) || ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED"].includes(error.code);
+  }
+  return error.response.status >= 500;
+}
+
+// POSTs create agreements and requisitions, so repeating one after a lost response could duplicate it.
+const RETRYABLE_METHODS = new Set(["GET", "DELETE", "HEAD"]);
+
+function isRetryableMethod(method) {
+  return RETRYABLE_METHODS.has(String(method || "GET").toUpperCase());
+}
+
+function computeBackoffDelay(attempt, baseDelayMs) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 function createGocardlessClient({
   secretId,
   secretKey,
   baseUrl = DEFAULT_BASE_URL,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
 }) {
   if (!secretId || !secretKey) {
     throw new Error(
@@ -22,43 +120,198 @@ function createGocardlessClient({
     );
   }
 
-  let accessToken = null;
+  let tokens = {
+    access: null,
+    accessExpiresAt: 0,
+    refresh: null,
+    refreshExpiresAt: 0,
+  };
+  let pendingToken = null;
+  const rateLimits = new Map();
+
+  function isFresh(value, expiresAt) {
+    return Boolean(value) && Date.now() < expiresAt - TOKEN_EXPIRY_MARGIN_MS;
+  }
 
-  async function ensureAccessToken() {
-    if (accessToken) {
-      return accessToken;
-    }
+  function expiresAtFromSeconds(seconds, fallbackSeconds = 0) {
+    const parsed = Number(seconds);
+    return Date.now() + (Number.isFinite(parsed) && parsed > 0 ? parsed : fallbackSeconds) * 1000;
+  }
 
+  async function requestNewToken() {
     try {
       const response = await axios.post(`${baseUrl}/token/new/`, {
         secret_id: secretId,
         secret_key: secretKey,
       });
 
-      accessToken = response.data.access;
-      return accessToken;
+      tokens = {
+        access: response.data.access,
+        accessExpiresAt: expiresAtFromSeconds(response.data.access_expires, DEFAULT_ACCESS_EXPIRES_SECONDS),
+        refresh: response.data.refresh || null,
+        refreshExpiresAt: expiresAtFromSeconds(response.data.refresh_expires),
+      };
+      return tokens.access;
     } catch (error) {
       throw createError("Failed to exchange secrets for an access token", error);
     }
   }
 
-  async function authorisedRequest(config) {
-    const token = await ensureAccessToken();
-    const headers = { ...(config.headers || {}), Authorization: `Bearer ${token}` };
-
+  async function refreshAccessToken() {
     try {
-      const response = await axios({ ...config, baseURL: baseUrl, headers });
-      return response.data;
+      const response = await axios.post(`${baseUrl}/token/refresh/`, {
+        refresh: tokens.refresh,
+      });
+
+      tokens = {
+        ...tokens,
+        access: response.data.access,
+        accessExpiresAt: expiresAtFromSeconds(response.data.access_expires, DEFAULT_ACCESS_EXPIRES_SECONDS),
+      };
+      return tokens.access;
     } catch (error) {
-      throw createError("GoCardless API request failed", error);
+      // A rejected refresh token is not fatal: the secrets can still mint a new pair.
+      tokens = { ...tokens, refresh: null, refreshExpiresAt: 0 };
+      return requestNewToken();
+    }
+  }
+
+  async function ensureAccessToken() {
+    if (isFresh(tokens.access, tokens.accessExpiresAt)) {
+      return tokens.access;
+    }
+
+    if (!pendingToken) {
+      pendingToken = (
+        isFresh(tokens.refresh, tokens.refreshExpiresAt)
+          ? refreshAccessToken()
+          : requestNewToken()
+      ).finally(() => {
+        pendingToken = null;
+      });
+    }
+
+    return pendingToken;
+  }
+
+  function invalidateAccessToken(rejectedToken) {
+    if (tokens.access === rejectedToken) {
+      tokens = { ...tokens, access: null, accessExpiresAt: 0 };
+    }
+  }
+
+  function recordRateLimit(url, headers) {
+    const rateLimit = parseRateLimitHeaders(headers);
+    if (rateLimit) {
+      rateLimits.set(url, rateLimit);
+    }
+    return rateLimit;
+  }
+
+  async function authorisedRequest(config) {
+    let retryOnUnauthorised = true;
+
+    for (let attempt = 0; ; attempt += 1) {
+      const token = await ensureAccessToken();
+      const headers = { ...(config.headers || {}), Authorization: `Bearer ${token}` };
+
+      try {
+        const response = await axios({ ...config, baseURL: baseUrl, headers });
+        recordRateLimit(config.url, response.headers);
+        return response.data;
+      } catch (error) {
+        const rateLimit = recordRateLimit(config.url, error.response?.headers);
+        const status = error.response?.status;
+
+        if (retryOnUnauthorised && status === 401) {
+          invalidateAccessToken(token);
+          retryOnUnauthorised = false;
+          continue;
+        }
+
+        if (status === 429) {
+          throw new RateLimitError(
+            `GoCardless rate limit reached for ${config.url}${
+              rateLimit?.resetAt ? `; resets at ${rateLimit.resetAt}` : ""
+            }`,
+            { url: config.url, rateLimit, cause: error }
+          );
+        }
+
+        if (attempt < maxRetries && isRetryableMethod(config.method) && isTransientError(error)) {
+          await sleep(computeBackoffDelay(attempt, retryBaseDelayMs));
+          continue;
+        }
+
+        throw createError("GoCardless API request failed", error);
+      }
+    }
+  }
+
+  async function listAllPages(url) {
+    const results = [];
+    let offset = 0;
+
+    for (;;) {
+      const page = await authorisedRequest({
+        method: "GET",
+        url,
+        params: { limit: LIST_PAGE_SIZE, offset },
+      });
+      const pageResults = Array.isArray(page?.results) ? page.results : [];
+      results.push(...pageResults);
+
+      if (!page?.next || pageResults.length === 0) {
+        return results;
+      }
+      offset += pageResults.length;
     }
   }
 
   return {
     getAccessToken: ensureAccessToken,
 
+    getTokenExpiry() {
+      return {
+        accessExpiresAt: tokens.access ? new Date(tokens.accessExpiresAt).toISOString() : null,
+        refreshExpiresAt: tokens.refresh ? new Date(tokens.refreshExpiresAt).toISOString() : null,
+      };
+    },
+
+    getRateLimits() {
+      return Object.fromEntries(rateLimits);
+    },
+
     resetAccessToken() {
-      accessToken = null;
+      tokens = {
+        access: null,
+        accessExpiresAt: 0,
+        refresh: null,
+        refreshExpiresAt: 0,
+      };
+    },
+
+    async listInstitutions(country) {
+      if (!country) {
+        throw new Error("country is required to list institutions");
+      }
+
+      return authorisedRequest({
+        method: "GET",
+        url: `/institutions/`,
+        params: { country: country.toLowerCase() },
+      });
+    },
+
+    async getInstitution(institutionId) {
+      if (!institutionId) {
+        throw new Error("institutionId is required");
+      }
+
+      return authorisedRequest({
+        method: "GET",
+        url: `/institutions/${institutionId}/`,
+      });
     },
 
     async createEndUserAgreement({
@@ -83,6 +336,32 @@ function createGocardlessClient({
       });
     },
 
+    async listAgreements() {
+      return listAllPages(`/agreements/enduser/`);
+    },
+
+    async getAgreement(agreementId) {
+      if (!agreementId) {
+        throw new Error("agreementId is required");
+      }
+
+      return authorisedRequest({
+        method: "GET",
+        url: `/agreements/enduser/${agreementId}/`,
+      });
+    },
+
+    async deleteAgreement(agreementId) {
+      if (!agreementId) {
+        throw new Error("agreementId is required");
+      }
+
+      return authorisedRequest({
+        method: "DELETE",
+        url: `/agreements/enduser/${agreementId}/`,
+      });
+    },
+
     async createRequisition({
       redirect,
       institutionId,
@@ -120,6 +399,21 @@ function createGocardlessClient({
       });
     },
 
+    async listRequisitions() {
+      return listAllPages(`/requisitions/`);
+    },
+
+    async deleteRequisition(requisitionId) {
+      if (!requisitionId) {
+        throw new Error("requisitionId is required");
+      }
+
+      return authorisedRequest({
+        method: "DELETE",
+        url: `/requisitions/${requisitionId}/`,
+      });
+    },
+
     async getAccountDetails(accountId) {
       if (!accountId) {
         throw new Error("accountId is required");
@@ -161,5 +455,6 @@ function createGocardlessClient({
 
 module.exports = {
   DEFAULT_BASE_URL,
+  RateLimitError,
   createGocardlessClient,
 };
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const REDACTED = "***";
+const SENSITIVE_HEADERS = new Set([
+  "authorization",
+  "x-api-token",
+  "x-ninja-token",
+  "cookie",
+  "set-cookie",
+]);
+const SENSITIVE_FIELDS = new Set(["secret_id", "secret_key", "access", "refresh"]);
+
+function redactHeaders(headers) {
+  const plain = headers && typeof headers.toJSON === "function" ? headers.toJSON() : headers || {};
+  return Object.fromEntries(
+    Object.entries(plain).map(([name, value]) => [
+      name,
+      SENSITIVE_HEADERS.has(name.toLowerCase()) ? REDACTED : value,
+    ])
+  );
+}
+
+function redactBody(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactBody);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        SENSITIVE_FIELDS.has(key) && typeof child === "string" ? REDACTED : redactBody(child),
+      ])
+    );
+  }
+  return value;
+}
+
+function parseBody(raw) {
+  if (raw === undefined || raw === null || raw === "") {
+    return null;
+  }
+  if (typeof raw !== "string") {
+    return raw;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function describeRequest(config) {
+  const url = new URL(axios.getUri(config));
+  url.searchParams.sort();
+  const body = redactBody(parseBody(config.data));
+
+  return {
+    method: (config.method || "get").toUpperCase(),
+    url: url.toString(),
+    route: `${url.origin}${url.pathname}`,
+    body,
+  };
+}
+
+function hashKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex").slice(0, 16);
+}
+
+function exchangeKeys(request) {
+  return {
+    exact: hashKey([request.method, request.url, request.body]),
+    loose: hashKey([request.method, request.route]),
+  };
+}
+
+function createRecordingAdapter(directory, networkAdapter) {
+  fs.mkdirSync(directory, { recursive: true });
+  const occurrences = new Map();
+
+  function persist(request, response) {
+    const { exact, loose } = exchangeKeys(request);
+    const occurrence = occurrences.get(exact) || 0;
+    occurrences.set(exact, occurrence + 1);
+
+    const fileName = `${exact}-${occurrence}.json`;
+    fs.writeFileSync(
+      path.join(directory, fileName),
+      JSON.stringify(
+        {
+          recordedAt: new Date().toISOString(),
+          key: exact,
+          looseKey: loose,
+          request,
+          response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: redactHeaders(response.headers),
+            data: redactBody(parseBody(response.data)),
+          },
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+  }
+
+  return async function recordingAdapter(config) {
+    const request = describeRequest(config);
+
+    try {
+      const response = await networkAdapter(config);
+      persist(request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        persist(request, error.response);
+      }
+      throw error;
+    }
+  };
+}
+
+function loadRecordings(directory) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Replay directory not found: ${directory}`);
+  }
+
+  const exact = new Map();
+  const loose = new Map();
+
+  fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .forEach((file) => {
+      const exchange = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+      if (!exact.has(exchange.key)) {
+        exact.set(exchange.key, []);
+      }
+      exact.get(exchange.key).push(exchange);
+      if (!loose.has(exchange.looseKey)) {
+        loose.set(exchange.looseKey, []);
+      }
+      loose.get(exchange.looseKey).push(exchange);
+    });
+
+  return { exact, loose };
+}
+
+function createReplayAdapter(directory) {
+  const recordings = loadRecordings(directory);
+  const served = new Map();
+
+  function nextExchange(map, key) {
+    const list = map.get(key);
+    if (!list || !list.length) {
+      return null;
+    }
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+    return list[Math.min(index, list.length - 1)];
+  }
+
+  return async function replayAdapter(config) {
+    const request = describeRequest(config);
+    const { exact, loose } = exchangeKeys(request);
+    const exchange = nextExchange(recordings.exact, exact) || nextExchange(recordings.loose, loose);
+
+    if (!exchange) {
+      throw new axios.AxiosError(
+        `No recorded response for ${request.method} ${request.url} in ${directory}`,
+        "ERR_NO_RECORDING",
+        config
+      );
+    }
+
+    const response = {
+      data: exchange.response.data,
+      status: exchange.response.status,
+      statusText: exchange.response.statusText,
+      headers: exchange.response.headers,
+      config,
+      request: null,
+    };
+
+    const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? "ERR_BAD_RESPONSE" : "ERR_BAD_REQUEST",
+        config,
+        null,
+        response
+      );
+    }
+
+    return response;
+  };
+}
+
+function consumeFlag(argv, flag) {
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === flag) {
+      const value = argv[i + 1];
+      argv.splice(i, 2);
+      return value;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      const value = argv[i].slice(argv[i].indexOf("=") + 1);
+      argv.splice(i, 1);
+      return value;
+    }
+  }
+  return null;
+}
+
+function installHttpRecorder({ argv = process.argv, env = process.env } = {}) {
+  const recordDir = consumeFlag(argv, "--record") || env.HTTP_RECORD_DIR || null;
+  const replayDir = consumeFlag(argv, "--replay") || env.HTTP_REPLAY_DIR || null;
+
+  if (recordDir && replayDir) {
+    throw new Error("--record and --replay cannot be combined");
+  }
+
+  if (replayDir) {
+    axios.defaults.adapter = createReplayAdapter(path.resolve(replayDir));
+    console.error(`Replaying HTTP traffic from ${replayDir}`);
+    return { mode: "replay", directory: replayDir };
+  }
+
+  if (recordDir) {
+    const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+    axios.defaults.adapter = createRecordingAdapter(path.resolve(recordDir), networkAdapter);
+    console.error(`Recording HTTP traffic to ${recordDir}`);
+    return { mode: "record", directory: recordDir };
+  }
+
+  return { mode: "live", directory: null };
+}
+
+module.exports = {
+  installHttpRecorder,
+};
@@ -0,0 +1,213 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const {
+  LEDGER_ROOT,
+  getSqliteStore,
+  listStatements,
+  readJson,
+  readStatements,
+  writeJsonAtomic,
+} = require("./snapshot-store");
+const { buildTransactionKey } = require("./transaction-fetcher");
+const { listOpenPending, reconcilePending } = require("./pending-tracker");
+
+function ledgerPath(alias) {
+  return path.join(LEDGER_ROOT, `${alias}.json`);
+}
+
+function createEmptyLedger(alias) {
+  return {
+    alias,
+    accountId: null,
+    updatedAt: null,
+    lastBookingDate: null,
+    sources: [],
+    transactions: [],
+    pending: [],
+  };
+}
+
+async function loadLedger(alias) {
+  const ledger = await readJson(ledgerPath(alias));
+  return ledger ? { sources: [], pending: [], ...ledger } : createEmptyLedger(alias);
+}
+
+async function loadAllLedgers() {
+  let files;
+  try {
+    files = await fs.readdir(LEDGER_ROOT);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const aliases = files
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+  return Promise.all(aliases.map((alias) => loadLedger(alias)));
+}
+
+async function saveLedger(ledger) {
+  const filePath = await writeJsonAtomic(ledgerPath(ledger.alias), ledger);
+  const store = getSqliteStore();
+  if (store) {
+    store.upsertAccount({ alias: ledger.alias, accountId: ledger.accountId });
+    store.upsertTransactions(ledger.alias, ledger.transactions);
+  }
+  return filePath;
+}
+
+function findLastBookingDate(transactions) {
+  return transactions.reduce((latest, transaction) => {
+    const date = transaction.bookingDate || transaction.valueDate || null;
+    return date && (!latest || date > latest) ? date : latest;
+  }, null);
+}
+
+function mergeIntoLedger(ledger, bookedTransactions, { accountId, source } = {}) {
+  const byKey = new Map(ledger.transactions.map((entry) => [entry.key, entry]));
+  const added = [];
+  const appendSource = (sources = []) =>
+    source && !sources.includes(source) ? [...sources, source] : sources;
+
+  bookedTransactions.forEach((transaction) => {
+    const key = buildTransactionKey(transaction);
+    const existing = byKey.get(key);
+
+    if (existing) {
+      byKey.set(key, { ...existing, ...transaction, key, sources: appendSource(existing.sources) });
+      return;
+    }
+
+    const entry = { key, ...transaction, sources: appendSource() };
+    byKey.set(key, entry);
+    added.push(entry);
+  });
+
+  const transactions = Array.from(byKey.values()).sort((a, b) =>
+    String(a.bookingDate || a.valueDate || "").localeCompare(String(b.bookingDate || b.valueDate || ""))
+  );
+
+  return {
+    ledger: {
+      ...ledger,
+      accountId: accountId || ledger.accountId,
+      updatedAt: new Date().toISOString(),
+      lastBookingDate: findLastBookingDate(transactions),
+      sources: appendSource(ledger.sources),
+      transactions,
+    },
+    added,
+  };
+}
+
+async function mergeStatementFiles(ledger, entries) {
+  let current = ledger;
+  let added = 0;
+
+  for (const entry of entries) {
+    const stored = await readStatements(entry);
+    if (!stored) {
+      continue;
+    }
+    const merged = mergeIntoLedger(current, stored?.transactions?.transactions?.booked || [], {
+      accountId: entry.accountId,
+      source: entry.source,
+    });
+    current = merged.ledger;
+    added += merged.added.length;
+  }
+
+  return { ledger: current, added, merged: entries.length };
+}
+
+async function syncLedger(alias, { accountId, save = true } = {}) {
+  const ledger = await loadLedger(alias);
+  const merged = new Set(ledger.sources);
+  const entries = (await listStatements({ alias, accountId: accountId || ledger.accountId })).filter(
+    (entry) => !merged.has(entry.source)
+  );
+
+  if (!entries.length) {
+    return { ledger, added: 0, merged: 0 };
+  }
+
+  const result = await mergeStatementFiles(ledger, entries);
+  if (save) {
+    await saveLedger(result.ledger);
+  }
+  return result;
+}
+
+async function rebuildLedger(alias, { accountId } = {}) {
+  const previous = await loadLedger(alias);
+  const entries = await listStatements({ alias, accountId: accountId || previous.accountId });
+  const result = await mergeStatementFiles(
+    { ...createEmptyLedger(alias), accountId: previous.accountId, pending: previous.pending },
+    entries
+  );
+  await saveLedger(result.ledger);
+  return result;
+}
+
+function trackPending(ledger, { pending, windows, observedAt }) {
+  const { tracked, events } = reconcilePending(ledger.pending || [], {
+    pending,
+    booked: ledger.transactions,
+    windows,
+    observedAt,
+  });
+
+  return { ledger: { ...ledger, pending: tracked }, events };
+}
+
+async function renameLedgerSources(renames) {
+  const rename = (sources = []) =>
+    sources.flatMap((source) => {
+      if (!renames.has(source)) {
+        return [source];
+      }
+      return renames.get(source) ? [renames.get(source)] : [];
+    });
+
+  const updated = [];
+  for (const ledger of await loadAllLedgers()) {
+    if (!(ledger.sources || []).some((source) => renames.has(source))) {
+      continue;
+    }
+    await saveLedger({
+      ...ledger,
+      sources: rename(ledger.sources),
+      transactions: ledger.transactions.map((entry) => ({ ...entry, sources: rename(entry.sources) })),
+    });
+    updated.push(ledger.alias);
+  }
+  return updated;
+}
+
+async function listIncomingPayments(alias) {
+  const ledgers = alias ? [await loadLedger(alias)] : await loadAllLedgers();
+  return ledgers.flatMap((ledger) =>
+    listOpenPending(ledger.pending)
+      .filter((entry) => entry.amount !== null && entry.amount > 0)
+      .map((entry) => ({ ...entry, alias: ledger.alias }))
+  );
+}
+
+module.exports = {
+  findLastBookingDate,
+  ledgerPath,
+  listIncomingPayments,
+  loadAllLedgers,
+  loadLedger,
+  mergeIntoLedger,
+  rebuildLedger,
+  renameLedgerSources,
+  saveLedger,
+  syncLedger,
+  trackPending,
+};
@@ -0,0 +1,192 @@
+const { buildTransactionKey } = require("./transaction-fetcher");
+
+const MAX_BOOKING_DELAY_DAYS = 10;
+const AMOUNT_TOLERANCE = 0.005;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function readAmount(transaction) {
+  const amount = parseFloat(transaction?.transactionAmount?.amount);
+  return Number.isNaN(amount) ? null : amount;
+}
+
+function readDate(transaction) {
+  return (
+    transaction?.bookingDate ||
+    transaction?.valueDate ||
+    transaction?.transactionDate ||
+    (transaction?.bookingDateTime || transaction?.valueDateTime || "").split("T")[0] ||
+    null
+  );
+}
+
+function readReference(transaction) {
+  const raw =
+    transaction?.remittanceInformationUnstructured ||
+    (transaction?.remittanceInformationUnstructuredArray || []).join(" ") ||
+    transaction?.remittanceInformationStructured ||
+    "";
+  return raw.replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+}
+
+function readCounterparty(transaction) {
+  return transaction?.debtorName || transaction?.creditorName || null;
+}
+
+function referencesCompatible(a, b) {
+  if (!a || !b) {
+    return true;
+  }
+  return a === b || a.includes(b) || b.includes(a);
+}
+
+function daysBetween(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / MS_PER_DAY);
+}
+
+function describePending(transaction, observedAt) {
+  return {
+    key: buildTransactionKey(transaction),
+    status: "pending",
+    firstSeenAt: observedAt,
+    lastSeenAt: observedAt,
+    resolvedAt: null,
+    amount: readAmount(transaction),
+    originalAmount: readAmount(transaction),
+    currency: transaction?.transactionAmount?.currency || null,
+    date: readDate(transaction),
+    reference: readReference(transaction),
+    counterparty: readCounterparty(transaction),
+    bookedKey: null,
+    replacedBy: null,
+    transaction,
+  };
+}
+
+// Without window information every pending entry is assumed to have been covered by the fetch.
+function wasFetched(entry, windows) {
+  if (!windows) {
+    return true;
+  }
+  return windows.some(
+    (window) =>
+      window.status === "ok" &&
+      Boolean(entry.date) &&
+      (!window.dateFrom || entry.date >= window.dateFrom) &&
+      (!window.dateTo || entry.date <= window.dateTo)
+  );
+}
+
+function findBookedCounterpart(entry, booked, claimedKeys, maxBookingDelayDays) {
+  return booked.find((transaction) => {
+    const key = buildTransactionKey(transaction);
+    if (claimedKeys.has(key)) {
+      return false;
+    }
+
+    const amount = readAmount(transaction);
+    if (amount === null || entry.amount === null || Math.abs(amount - entry.amount) > AMOUNT_TOLERANCE) {
+      return false;
+    }
+
+    const delay = daysBetween(entry.date, readDate(transaction));
+    if (delay !== null && (delay < -1 || delay > maxBookingDelayDays)) {
+      return false;
+    }
+
+    return referencesCompatible(entry.reference, readReference(transaction));
+  });
+}
+
+function reconcilePending(
+  tracked,
+  {
+    pending = [],
+    booked = [],
+    windows = null,
+    observedAt = new Date().toISOString(),
+    maxBookingDelayDays = MAX_BOOKING_DELAY_DAYS,
+  } = {}
+) {
+  const entries = tracked.map((entry) => ({ ...entry }));
+  const byKey = new Map(entries.map((entry) => [entry.key, entry]));
+  const claimedKeys = new Set(entries.map((entry) => entry.bookedKey).filter(Boolean));
+  const currentKeys = new Set();
+  const events = { added: [], booked: [], changed: [], vanished: [] };
+
+  pending.forEach((transaction) => {
+    const key = buildTransactionKey(transaction);
+    currentKeys.add(key);
+
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.lastSeenAt = observedAt;
+      existing.transaction = transaction;
+      if (existing.status !== "pending") {
+        existing.status = "pending";
+        existing.resolvedAt = null;
+      }
+      return;
+    }
+
+    const entry = describePending(transaction, observedAt);
+    entries.push(entry);
+    byKey.set(key, entry);
+    events.added.push(entry);
+  });
+
+  entries
+    .filter((entry) => entry.status === "pending" && !currentKeys.has(entry.key))
+    .forEach((entry) => {
+      const counterpart = findBookedCounterpart(entry, booked, claimedKeys, maxBookingDelayDays);
+      if (counterpart) {
+        entry.status = "booked";
+        entry.bookedKey = buildTransactionKey(counterpart);
+        entry.resolvedAt = observedAt;
+        claimedKeys.add(entry.bookedKey);
+        events.booked.push(entry);
+        return;
+      }
+
+      const replacement = events.added.find(
+        (candidate) =>
+          entry.reference &&
+          candidate.reference === entry.reference &&
+          candidate.counterparty === entry.counterparty &&
+          candidate.amount !== entry.amount
+      );
+      if (replacement) {
+        entry.status = "changed";
+        entry.replacedBy = replacement.key;
+        entry.resolvedAt = observedAt;
+        replacement.originalAmount = entry.originalAmount;
+        replacement.firstSeenAt = entry.firstSeenAt;
+        events.changed.push({ ...entry, newAmount: replacement.amount });
+        return;
+      }
+
+      if (!wasFetched(entry, windows)) {
+        return;
+      }
+
+      entry.status = "vanished";
+      entry.resolvedAt = observedAt;
+      events.vanished.push(entry);
+    });
+
+  return { tracked: entries, events };
+}
+
+function listOpenPending(tracked) {
+  return (tracked || []).filter((entry) => entry.status === "pending");
+}
+
+module.exports = {
+  listOpenPending,
+  readAmount,
+  readDate,
+  readReference,
+  reconcilePending,
+};
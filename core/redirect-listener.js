@@ -0,0 +1,86 @@
+const http = require("http");
+
+const DEFAULT_TIMEOUT_MS = 15 * 60 * 1000;
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function renderPage(title, message) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; margin: 3rem;"><h1>${title}</h1><p>${message}</p></body></html>`;
+}
+
+async function listenForRedirect(redirectUrl, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const target = new URL(redirectUrl);
+
+  if (target.protocol !== "http:" || !LOCAL_HOSTS.has(target.hostname)) {
+    throw new Error(
+      `--listen needs a plain http://localhost redirect URL, got ${redirectUrl}`
+    );
+  }
+
+  const port = Number(target.port || 80);
+  const server = http.createServer();
+  let settle;
+  const redirect = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  server.on("request", (request, response) => {
+    const url = new URL(request.url, redirectUrl);
+
+    if (url.pathname !== target.pathname) {
+      response.writeHead(404, { "Content-Type": "text/plain" });
+      response.end("Not found");
+      return;
+    }
+
+    const reference = url.searchParams.get("ref");
+    const error = url.searchParams.get("error");
+
+    if (error) {
+      response.writeHead(400, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(renderPage("Consent failed", `The bank returned: ${escapeHtml(error)}. You can close this tab.`));
+      settle.reject(new Error(`Bank redirect reported an error: ${error}`));
+      return;
+    }
+
+    if (!reference) {
+      response.writeHead(400, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(renderPage("Unexpected redirect", "The redirect did not carry a requisition reference."));
+      return;
+    }
+
+    response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    response.end(renderPage("Consent received", "You can close this tab and return to the terminal."));
+    settle.resolve({ reference, query: Object.fromEntries(url.searchParams) });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, target.hostname === "[::1]" ? "::1" : target.hostname, resolve);
+  });
+
+  const timer = setTimeout(() => {
+    settle.reject(new Error(`No bank redirect received on ${redirectUrl} within ${Math.round(timeoutMs / 1000)}s`));
+  }, timeoutMs);
+
+  function close() {
+    clearTimeout(timer);
+    server.close();
+    server.closeAllConnections();
+  }
+
+  return {
+    url: redirectUrl,
+    redirect: redirect.finally(close),
+    close,
+  };
+}
+
+module.exports = {
+  listenForRedirect,
+};
@@ -0,0 +1,125 @@
+const path = require("path");
+
+const { buildTransactionKey } = require("./transaction-fetcher");
+
+const DEFAULT_DAILY_DAYS = 30;
+const DEFAULT_KEEP_LATEST = 1;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function describeFile(fileName, mtimeMs) {
+  const match = fileName.match(/^(.+?)_\d{4}-\d{2}-\d{2}T[\d.-]+Z_(\d+)\.json$/);
+  const timestamp = match ? Number(match[2]) : mtimeMs;
+  return {
+    fileName,
+    series: match ? match[1] : path.basename(fileName, ".json"),
+    timestamp,
+    day: new Date(timestamp).toISOString().slice(0, 10),
+    month: new Date(timestamp).toISOString().slice(0, 7),
+  };
+}
+
+function planSeries(files, { now, dailyDays, monthlyMonths, keepLatest }) {
+  const newestFirst = [...files].sort((a, b) => b.timestamp - a.timestamp);
+  const dailyCutoff = now - dailyDays * MS_PER_DAY;
+  const monthlyCutoff =
+    monthlyMonths === null || monthlyMonths === undefined
+      ? null
+      : new Date(now).setUTCMonth(new Date(now).getUTCMonth() - monthlyMonths);
+  const seenDays = new Set();
+  const seenMonths = new Set();
+
+  return newestFirst.map((file, index) => {
+    if (index < keepLatest) {
+      seenDays.add(file.day);
+      seenMonths.add(file.month);
+      return { ...file, keep: true, reason: "latest" };
+    }
+
+    if (file.timestamp >= dailyCutoff) {
+      if (seenDays.has(file.day)) {
+        return { ...file, keep: false, reason: `newer file kept for ${file.day}` };
+      }
+      seenDays.add(file.day);
+      seenMonths.add(file.month);
+      return { ...file, keep: true, reason: "daily" };
+    }
+
+    if (monthlyCutoff !== null && file.timestamp < monthlyCutoff) {
+      return { ...file, keep: false, reason: `older than ${monthlyMonths} month(s)` };
+    }
+    if (seenMonths.has(file.month)) {
+      return { ...file, keep: false, reason: `newer file kept for ${file.month}` };
+    }
+    seenMonths.add(file.month);
+    return { ...file, keep: true, reason: "monthly" };
+  });
+}
+
+function planRetention(files, options = {}) {
+  const settings = {
+    now: options.now ?? Date.now(),
+    dailyDays: options.dailyDays ?? DEFAULT_DAILY_DAYS,
+    monthlyMonths: options.monthlyMonths ?? null,
+    keepLatest: options.keepLatest ?? DEFAULT_KEEP_LATEST,
+  };
+
+  const bySeries = new Map();
+  files.forEach((file) => {
+    if (!bySeries.has(file.series)) {
+      bySeries.set(file.series, []);
+    }
+    bySeries.get(file.series).push(file);
+  });
+
+  return Array.from(bySeries.values()).flatMap((series) => planSeries(series, settings));
+}
+
+function extractBookedKeys(payload) {
+  const booked = payload?.transactions?.transactions?.booked || [];
+  return booked.map((transaction) => buildTransactionKey(transaction));
+}
+
+async function protectSoleCopies(plan, readKeys) {
+  const covered = new Set();
+  const keysByFile = new Map();
+
+  for (const entry of plan) {
+    const keys = await readKeys(entry);
+    keysByFile.set(entry.fileName, keys);
+    if (entry.keep) {
+      keys.forEach((key) => covered.add(key));
+    }
+  }
+
+  const oldestFirst = [...plan].sort((a, b) => a.timestamp - b.timestamp);
+  const promoted = new Map();
+  oldestFirst.forEach((entry) => {
+    if (entry.keep) {
+      return;
+    }
+    const unique = keysByFile.get(entry.fileName).filter((key) => !covered.has(key));
+    if (unique.length) {
+      unique.forEach((key) => covered.add(key));
+      promoted.set(entry.fileName, unique.length);
+    }
+  });
+
+  return plan.map((entry) =>
+    promoted.has(entry.fileName)
+      ? {
+          ...entry,
+          keep: true,
+          reason: `only copy of ${promoted.get(entry.fileName)} booked transaction(s)`,
+        }
+      : entry
+  );
+}
+
+module.exports = {
+  DEFAULT_DAILY_DAYS,
+  DEFAULT_KEEP_LATEST,
+  describeFile,
+  extractBookedKeys,
+  planRetention,
+  protectSoleCopies,
+};
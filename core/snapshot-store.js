@@ -1,8 +1,12 @@
 const fs = require("fs").promises;
 const path = require("path");
 
+const { decodeJson, encodeJson } = require("./encryption");
+const { openSqliteStore } = require("./sqlite-store");
+
 const SNAPSHOT_ROOT = path.join(process.cwd(), "data", "snapshots");
 const STATEMENT_ROOT = path.join(process.cwd(), "data", "statements");
+const LEDGER_ROOT = path.join(process.cwd(), "data", "ledger");
 
 function buildFileName(prefix) {
   const timestamp = new Date().toISOString().replace(/[:]/g, "-");
@@ -12,7 +16,7 @@ function buildFileName(prefix) {
 async function persistJson(targetDir, prefix, payload) {
   await fs.mkdir(targetDir, { recursive: true });
   const filePath = path.join(targetDir, buildFileName(prefix));
-  await fs.writeFile(filePath, JSON.stringify(payload, null, 2), "utf8");
+  await fs.writeFile(filePath, encodeJson(payload), "utf8");
   return filePath;
 }
 
@@ -39,19 +43,212 @@ async function getLatestJson(targetDir) {
   return path.join(targetDir, sorted[0]);
 }
 
+function readStatementMeta(fileName, payload) {
+  const fallbackAlias = fileName.match(/^statements_(.+?)_\d{4}-\d{2}-\d{2}T/)?.[1] || null;
+  return {
+    filePath: path.join(STATEMENT_ROOT, fileName),
+    source: fileName,
+    alias: payload?.accountAlias || fallbackAlias,
+    accountId: payload?.accountId || null,
+    dateFrom: payload?.dateFrom || null,
+    dateTo: payload?.dateTo || null,
+    fetchedAt: payload?.fetchedAt || null,
+  };
+}
+
+// Reading a statement file means decrypting it, so metadata is kept per file until the file changes.
+const statementMetaCache = new Map();
+
+async function readCachedStatementMeta(fileName) {
+  const filePath = path.join(STATEMENT_ROOT, fileName);
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+
+  const cached = statementMetaCache.get(fileName);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.meta;
+  }
+
+  const payload = await readJson(filePath);
+  const meta = payload ? readStatementMeta(fileName, payload) : null;
+  statementMetaCache.set(fileName, { mtimeMs: stats.mtimeMs, size: stats.size, meta });
+  return meta;
+}
+
+const jsonStatementBackend = {
+  name: "json",
+  async save(prefix, payload) {
+    return persistJson(STATEMENT_ROOT, prefix, payload);
+  },
+  async index() {
+    const files = (await readDirectory(STATEMENT_ROOT)).filter((file) => file.endsWith(".json")).sort();
+    const present = new Set(files);
+    Array.from(statementMetaCache.keys())
+      .filter((file) => !present.has(file))
+      .forEach((file) => statementMetaCache.delete(file));
+
+    const entries = [];
+    for (const file of files) {
+      const meta = await readCachedStatementMeta(file);
+      if (meta) {
+        entries.push(meta);
+      }
+    }
+    return entries;
+  },
+  async read(entry) {
+    return readJson(entry.filePath);
+  },
+};
+
+function createSqliteStatementBackend(store) {
+  return {
+    name: "sqlite",
+    async save(prefix, payload) {
+      const source = buildFileName(prefix);
+      store.saveStatements(source, payload);
+      return `${store.filePath}#${source}`;
+    },
+    async index() {
+      return store
+        .listStatements()
+        .map((row) => ({ ...row, filePath: `${store.filePath}#${row.source}` }));
+    },
+    async read(entry) {
+      return store.readStatements(entry.source);
+    },
+  };
+}
+
+let sqliteStore = null;
+let statementBackend = null;
+
+function getSqliteStore() {
+  if ((process.env.STORAGE_BACKEND || "json").toLowerCase() !== "sqlite") {
+    return null;
+  }
+  if (!sqliteStore) {
+    sqliteStore = openSqliteStore();
+  }
+  return sqliteStore;
+}
+
+function getStatementBackend() {
+  if (statementBackend) {
+    return statementBackend;
+  }
+
+  const name = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+  if (name === "json") {
+    statementBackend = jsonStatementBackend;
+  } else if (name === "sqlite") {
+    statementBackend = createSqliteStatementBackend(getSqliteStore());
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use json or sqlite.`);
+  }
+  return statementBackend;
+}
+
+function setStatementBackend(backend) {
+  statementBackend = backend;
+}
+
+function statementSourceName(location) {
+  return path.basename(String(location).split("#").pop());
+}
+
+async function indexStatements() {
+  const entries = await getStatementBackend().index();
+  return entries.sort(
+    (a, b) =>
+      String(a.fetchedAt || "").localeCompare(String(b.fetchedAt || "")) ||
+      a.filePath.localeCompare(b.filePath)
+  );
+}
+
+function matchesStatementQuery(entry, { alias, accountId, from, to }) {
+  if (alias && entry.alias !== alias) {
+    return false;
+  }
+  if (accountId && entry.accountId !== accountId) {
+    return false;
+  }
+
+  if (from && entry.dateTo && entry.dateTo < from) {
+    return false;
+  }
+  if (to && entry.dateFrom && entry.dateFrom > to) {
+    return false;
+  }
+  return true;
+}
+
+async function listStatements(query = {}) {
+  const entries = await indexStatements();
+  return entries.filter((entry) => matchesStatementQuery(entry, query));
+}
+
+async function readStatements(entry) {
+  return getStatementBackend().read(entry);
+}
+
+async function listStatementAliases() {
+  const entries = await indexStatements();
+  return [...new Set(entries.map((entry) => entry.alias).filter(Boolean))].sort();
+}
+
+async function readJson(filePath) {
+  try {
+    return decodeJson(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, payload) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, encodeJson(payload), "utf8");
+  await fs.rename(tempPath, filePath);
+  return filePath;
+}
+
 module.exports = {
   SNAPSHOT_ROOT,
   STATEMENT_ROOT,
+  LEDGER_ROOT,
+  getSqliteStore,
+  getStatementBackend,
+  jsonStatementBackend,
+  listStatementAliases,
+  listStatements,
+  readJson,
+  readStatements,
+  setStatementBackend,
+  statementSourceName,
+  writeJsonAtomic,
   async saveSnapshot(prefix, payload) {
     return persistJson(SNAPSHOT_ROOT, prefix, payload);
   },
   async saveStatements(prefix, payload) {
-    return persistJson(STATEMENT_ROOT, prefix, payload);
+    return getStatementBackend().save(prefix, payload);
   },
   async getLatestSnapshot() {
     return getLatestJson(SNAPSHOT_ROOT);
   },
-  async getLatestStatements() {
-    return getLatestJson(STATEMENT_ROOT);
+  async getLatestStatements(alias) {
+    const query = typeof alias === "string" ? { alias } : alias || {};
+    const entries = await listStatements(query);
+    return entries.length ? entries[entries.length - 1].filePath : null;
   },
 };
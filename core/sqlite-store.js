@@ -0,0 +1,418 @@
+const fs = require("fs");
+const path = require("path");
+
+const { decodeJson, encodeJson, getEncryptionKey, hashLookupValue } = require("./encryption");
+
+const DEFAULT_SQLITE_PATH = path.join(process.cwd(), "data", "store.sqlite");
+const AMOUNT_TOLERANCE = 0.005;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS accounts (
+  alias TEXT PRIMARY KEY,
+  account_id TEXT,
+  institution_id TEXT,
+  iban TEXT,
+  updated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS statements (
+  source TEXT PRIMARY KEY,
+  alias TEXT,
+  account_id TEXT,
+  fetched_at TEXT,
+  date_from TEXT,
+  date_to TEXT,
+  payload TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS statements_alias_idx ON statements (alias, fetched_at);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  alias TEXT NOT NULL,
+  key TEXT NOT NULL,
+  booking_date TEXT,
+  value_date TEXT,
+  amount REAL,
+  currency TEXT,
+  counterparty_name TEXT,
+  counterparty_iban TEXT,
+  reference TEXT,
+  sources TEXT,
+  payload TEXT NOT NULL,
+  PRIMARY KEY (alias, key)
+);
+CREATE INDEX IF NOT EXISTS transactions_date_idx ON transactions (booking_date);
+CREATE INDEX IF NOT EXISTS transactions_amount_idx ON transactions (amount);
+CREATE INDEX IF NOT EXISTS transactions_iban_idx ON transactions (counterparty_iban);
+
+CREATE TABLE IF NOT EXISTS operations (
+  statement_id TEXT NOT NULL,
+  sequence TEXT NOT NULL,
+  statement_file TEXT,
+  account_iban TEXT,
+  booking_date TEXT,
+  value_date TEXT,
+  amount REAL,
+  currency TEXT,
+  direction TEXT,
+  counterparty_name TEXT,
+  counterparty_iban TEXT,
+  communication TEXT,
+  payload TEXT NOT NULL,
+  PRIMARY KEY (statement_id, sequence)
+);
+CREATE INDEX IF NOT EXISTS operations_date_idx ON operations (booking_date);
+CREATE INDEX IF NOT EXISTS operations_amount_idx ON operations (amount);
+CREATE INDEX IF NOT EXISTS operations_iban_idx ON operations (counterparty_iban);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id TEXT PRIMARY KEY,
+  number TEXT,
+  client_name TEXT,
+  amount REAL,
+  balance REAL,
+  status_id INTEGER,
+  invoice_date TEXT,
+  due_date TEXT,
+  payload TEXT NOT NULL,
+  updated_at TEXT
+);
+CREATE INDEX IF NOT EXISTS invoices_amount_idx ON invoices (amount);
+
+CREATE TABLE IF NOT EXISTS matches (
+  invoice_id TEXT NOT NULL,
+  candidate_type TEXT NOT NULL,
+  candidate_key TEXT NOT NULL,
+  decision TEXT NOT NULL,
+  confidence INTEGER,
+  details TEXT,
+  decided_at TEXT,
+  PRIMARY KEY (invoice_id, candidate_type, candidate_key)
+);
+`;
+
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND") {
+      throw new Error(
+        "The SQLite backend needs the optional better-sqlite3 package. Run npm install better-sqlite3 or unset STORAGE_BACKEND."
+      );
+    }
+    throw error;
+  }
+}
+
+function encodePayload(value) {
+  return encodeJson(value, { space: 0 });
+}
+
+function toNumber(value) {
+  const parsed = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normaliseIban(value) {
+  return value ? String(value).replace(/\s+/g, "").toUpperCase() : null;
+}
+
+// With an encryption key, IBAN columns hold a keyed hash so lookups still work by equality.
+function encodeIban(value) {
+  const iban = normaliseIban(value);
+  const key = getEncryptionKey();
+  return iban && key ? hashLookupValue(iban, key) : iban;
+}
+
+// Free-text columns are only there for ad-hoc SQL; they are encrypted like the payload when a key is set.
+function encodeText(value) {
+  const key = getEncryptionKey();
+  return value && key ? encodeJson(value, { key, space: 0 }) : value;
+}
+
+function buildWhere(conditions) {
+  return conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+}
+
+function addRangeConditions(conditions, params, column, { from, to, amount, tolerance, counterpartyIban }) {
+  if (from) {
+    conditions.push(`${column} >= @from`);
+    params.from = from;
+  }
+  if (to) {
+    conditions.push(`${column} <= @to`);
+    params.to = to;
+  }
+  if (amount !== undefined && amount !== null) {
+    conditions.push("amount BETWEEN @amountMin AND @amountMax");
+    params.amountMin = amount - (tolerance ?? AMOUNT_TOLERANCE);
+    params.amountMax = amount + (tolerance ?? AMOUNT_TOLERANCE);
+  }
+  if (counterpartyIban) {
+    conditions.push("counterparty_iban = @counterpartyIban");
+    params.counterpartyIban = encodeIban(counterpartyIban);
+  }
+}
+
+function openSqliteStore({ filePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH } = {}) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const statements = {
+    upsertAccount: db.prepare(`
+      INSERT INTO accounts (alias, account_id, institution_id, iban, updated_at)
+      VALUES (@alias, @accountId, @institutionId, @iban, @updatedAt)
+      ON CONFLICT (alias) DO UPDATE SET
+        account_id = COALESCE(excluded.account_id, account_id),
+        institution_id = COALESCE(excluded.institution_id, institution_id),
+        iban = COALESCE(excluded.iban, iban),
+        updated_at = excluded.updated_at
+    `),
+    upsertStatements: db.prepare(`
+      INSERT OR REPLACE INTO statements (source, alias, account_id, fetched_at, date_from, date_to, payload)
+      VALUES (@source, @alias, @accountId, @fetchedAt, @dateFrom, @dateTo, @payload)
+    `),
+    readStatements: db.prepare("SELECT payload FROM statements WHERE source = ?"),
+    deleteStatements: db.prepare("DELETE FROM statements WHERE source = ?"),
+    listStatements: db.prepare(`
+      SELECT source, alias, account_id AS accountId, date_from AS dateFrom, date_to AS dateTo,
+        fetched_at AS fetchedAt
+      FROM statements ORDER BY fetched_at, source
+    `),
+    upsertTransaction: db.prepare(`
+      INSERT OR REPLACE INTO transactions (alias, key, booking_date, value_date, amount, currency,
+        counterparty_name, counterparty_iban, reference, sources, payload)
+      VALUES (@alias, @key, @bookingDate, @valueDate, @amount, @currency, @counterpartyName,
+        @counterpartyIban, @reference, @sources, @payload)
+    `),
+    upsertOperation: db.prepare(`
+      INSERT OR REPLACE INTO operations (statement_id, sequence, statement_file, account_iban,
+        booking_date, value_date, amount, currency, direction, counterparty_name, counterparty_iban,
+        communication, payload)
+      VALUES (@statementId, @sequence, @statementFile, @accountIban, @bookingDate, @valueDate,
+        @amount, @currency, @direction, @counterpartyName, @counterpartyIban, @communication, @payload)
+    `),
+    deleteOperations: db.prepare("DELETE FROM operations WHERE statement_id = ?"),
+    upsertInvoice: db.prepare(`
+      INSERT OR REPLACE INTO invoices (id, number, client_name, amount, balance, status_id,
+        invoice_date, due_date, payload, updated_at)
+      VALUES (@id, @number, @clientName, @amount, @balance, @statusId, @invoiceDate, @dueDate,
+        @payload, @updatedAt)
+    `),
+    upsertMatch: db.prepare(`
+      INSERT INTO matches (invoice_id, candidate_type, candidate_key, decision, confidence, details, decided_at)
+      VALUES (@invoiceId, @candidateType, @candidateKey, @decision, @confidence, @details, @decidedAt)
+      ON CONFLICT (invoice_id, candidate_type, candidate_key) DO UPDATE SET
+        decision = CASE WHEN matches.decision = 'candidate' THEN excluded.decision ELSE matches.decision END,
+        confidence = excluded.confidence,
+        details = excluded.details,
+        decided_at = CASE WHEN matches.decision = 'candidate' THEN excluded.decided_at ELSE matches.decided_at END
+    `),
+    listMatches: db.prepare(`
+      SELECT invoice_id AS invoiceId, candidate_type AS candidateType, candidate_key AS candidateKey,
+        decision, confidence, details, decided_at AS decidedAt
+      FROM matches WHERE invoice_id = ? ORDER BY confidence DESC
+    `),
+  };
+
+  function upsertAccount({ alias, accountId = null, institutionId = null, iban = null }) {
+    statements.upsertAccount.run({
+      alias,
+      accountId,
+      institutionId,
+      iban: encodeIban(iban),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  function saveStatements(source, payload) {
+    statements.upsertStatements.run({
+      source,
+      alias: payload?.accountAlias || null,
+      accountId: payload?.accountId || null,
+      fetchedAt: payload?.fetchedAt || null,
+      dateFrom: payload?.dateFrom || null,
+      dateTo: payload?.dateTo || null,
+      payload: encodePayload(payload),
+    });
+    if (payload?.accountAlias) {
+      upsertAccount({
+        alias: payload.accountAlias,
+        accountId: payload.accountId,
+        institutionId: payload.institutionId,
+        iban: payload.details?.account?.iban,
+      });
+    }
+    return source;
+  }
+
+  function readStatements(source) {
+    const row = statements.readStatements.get(source);
+    return row ? decodeJson(row.payload) : null;
+  }
+
+  function deleteStatements(source) {
+    return statements.deleteStatements.run(source).changes > 0;
+  }
+
+  const upsertTransactions = db.transaction((alias, entries) => {
+    entries.forEach((entry) => {
+      statements.upsertTransaction.run({
+        alias,
+        key: entry.key,
+        bookingDate: entry.bookingDate || null,
+        valueDate: entry.valueDate || null,
+        amount: toNumber(entry.transactionAmount?.amount),
+        currency: entry.transactionAmount?.currency || null,
+        counterpartyName: encodeText(entry.debtorName || entry.creditorName || null),
+        counterpartyIban: encodeIban(entry.debtorAccount?.iban || entry.creditorAccount?.iban),
+        reference: encodeText(
+          entry.remittanceInformationUnstructured ||
+            (entry.remittanceInformationUnstructuredArray || []).join(" ") ||
+            null
+        ),
+        sources: JSON.stringify(entry.sources || []),
+        payload: encodePayload(entry),
+      });
+    });
+    return entries.length;
+  });
+
+  const upsertOperations = db.transaction((operations) => {
+    operations.forEach((operation) => {
+      statements.upsertOperation.run({
+        statementId: operation.statementId,
+        sequence: String(operation.sequence ?? operation.bankReference ?? operation.bookingDate),
+        statementFile: operation.statementFile || null,
+        accountIban: encodeIban(operation.accountIban),
+        bookingDate: operation.bookingDate || operation.valueDate || null,
+        valueDate: operation.valueDate || null,
+        amount: toNumber(operation.amount),
+        currency: operation.currency || null,
+        direction: operation.direction || null,
+        counterpartyName: encodeText(operation.counterpartyName || null),
+        counterpartyIban: encodeIban(operation.counterpartyAccount),
+        communication: encodeText(operation.communication || null),
+        payload: encodePayload(operation),
+      });
+    });
+    return operations.length;
+  });
+
+  // A re-parsed statement may number its operations differently, so its earlier rows go first.
+  const replaceOperations = db.transaction((statementIds, operations) => {
+    statementIds.forEach((statementId) => statements.deleteOperations.run(statementId));
+    return upsertOperations(operations);
+  });
+
+  const upsertInvoices = db.transaction((invoices) => {
+    const updatedAt = new Date().toISOString();
+    invoices.forEach((invoice) => {
+      statements.upsertInvoice.run({
+        id: String(invoice.id),
+        number: invoice.invoice_number || invoice.number || null,
+        clientName: encodeText(invoice.client?.display_name || invoice.client?.name || null),
+        amount: toNumber(invoice.amount),
+        balance: toNumber(invoice.balance),
+        statusId: invoice.invoice_status_id || invoice.status_id || null,
+        invoiceDate: invoice.invoice_date || invoice.date || null,
+        dueDate: invoice.due_date || null,
+        payload: encodePayload(invoice),
+        updatedAt,
+      });
+    });
+    return invoices.length;
+  });
+
+  function recordMatch({ invoiceId, candidateType, candidateKey, decision = "candidate", confidence = null, details = null }) {
+    statements.upsertMatch.run({
+      invoiceId: String(invoiceId),
+      candidateType,
+      candidateKey,
+      decision,
+      confidence,
+      details: details ? JSON.stringify(details) : null,
+      decidedAt: new Date().toISOString(),
+    });
+  }
+
+  function listMatches(invoiceId) {
+    return statements.listMatches
+      .all(String(invoiceId))
+      .map((row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  }
+
+  function listStatements() {
+    return statements.listStatements.all();
+  }
+
+  function queryTransactions({ alias, ...filters } = {}) {
+    const conditions = [];
+    const params = {};
+    if (alias) {
+      conditions.push("alias = @alias");
+      params.alias = alias;
+    }
+    addRangeConditions(conditions, params, "booking_date", filters);
+
+    return db
+      .prepare(`SELECT alias, payload FROM transactions ${buildWhere(conditions)} ORDER BY booking_date, key`)
+      .all(params)
+      .map((row) => ({ ...decodeJson(row.payload), alias: row.alias }));
+  }
+
+  function queryOperations({ direction, accountIban, ...filters } = {}) {
+    const conditions = [];
+    const params = {};
+    if (direction) {
+      conditions.push("direction = @direction");
+      params.direction = direction;
+    }
+    if (accountIban) {
+      conditions.push("account_iban = @accountIban");
+      params.accountIban = encodeIban(accountIban);
+    }
+    addRangeConditions(conditions, params, "booking_date", filters);
+
+    return db
+      .prepare(`SELECT payload FROM operations ${buildWhere(conditions)} ORDER BY booking_date, statement_id, sequence`)
+      .all(params)
+      .map((row) => decodeJson(row.payload));
+  }
+
+  function countRows() {
+    return Object.fromEntries(
+      ["accounts", "statements", "transactions", "operations", "invoices", "matches"].map((table) => [
+        table,
+        db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count,
+      ])
+    );
+  }
+
+  return {
+    filePath,
+    close: () => db.close(),
+    countRows,
+    deleteStatements,
+    listMatches,
+    listStatements,
+    queryOperations,
+    queryTransactions,
+    readStatements,
+    recordMatch,
+    replaceOperations,
+    saveStatements,
+    upsertAccount,
+    upsertInvoices,
+    upsertOperations,
+    upsertTransactions,
+  };
+}
+
+module.exports = {
+  DEFAULT_SQLITE_PATH,
+  openSqliteStore,
+};
@@ -0,0 +1,177 @@
+const { RateLimitError } = require("./gocardless-client");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toIsoDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function parseIsoDay(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+  }
+  return date;
+}
+
+function splitDateRange(dateFrom, dateTo, windowDays) {
+  const start = parseIsoDay(dateFrom);
+  const end = parseIsoDay(dateTo);
+
+  if (start > end) {
+    throw new Error(`dateFrom ${dateFrom} is after dateTo ${dateTo}`);
+  }
+
+  if (!windowDays) {
+    return [{ dateFrom, dateTo }];
+  }
+
+  const windows = [];
+  let cursor = start;
+
+  while (cursor <= end) {
+    const windowEnd = new Date(
+      Math.min(cursor.getTime() + (windowDays - 1) * MS_PER_DAY, end.getTime())
+    );
+    windows.push({ dateFrom: toIsoDay(cursor), dateTo: toIsoDay(windowEnd) });
+    cursor = new Date(windowEnd.getTime() + MS_PER_DAY);
+  }
+
+  return windows;
+}
+
+function buildTransactionKey(transaction) {
+  if (transaction.transactionId) {
+    return `id:${transaction.transactionId}`;
+  }
+  if (transaction.internalTransactionId) {
+    return `internal:${transaction.internalTransactionId}`;
+  }
+
+  return [
+    "content",
+    transaction.bookingDate || transaction.valueDate || "",
+    transaction.transactionAmount?.amount || "",
+    transaction.transactionAmount?.currency || "",
+    transaction.debtorAccount?.iban || transaction.creditorAccount?.iban || "",
+    transaction.remittanceInformationUnstructured ||
+      (transaction.remittanceInformationUnstructuredArray || []).join(" ") ||
+      "",
+  ].join("|");
+}
+
+function dedupeTransactions(transactions) {
+  const seen = new Map();
+  transactions.forEach((transaction) => {
+    const key = buildTransactionKey(transaction);
+    if (!seen.has(key)) {
+      seen.set(key, transaction);
+    }
+  });
+  return Array.from(seen.values());
+}
+
+function sortByDateDescending(transactions) {
+  return transactions.sort((a, b) =>
+    String(b.bookingDate || b.valueDate || "").localeCompare(
+      String(a.bookingDate || a.valueDate || "")
+    )
+  );
+}
+
+function mergeTransactionSets(sets) {
+  const booked = [];
+  const pending = [];
+
+  sets.forEach((set) => {
+    booked.push(...(set?.transactions?.booked || []));
+    pending.push(...(set?.transactions?.pending || []));
+  });
+
+  return {
+    transactions: {
+      booked: sortByDateDescending(dedupeTransactions(booked)),
+      pending: sortByDateDescending(dedupeTransactions(pending)),
+    },
+  };
+}
+
+async function resolveWindowDays(client, institutionId, requestedWindowDays) {
+  const requested = Number(requestedWindowDays) || null;
+  let totalDays = null;
+
+  if (institutionId) {
+    try {
+      const institution = await client.getInstitution(institutionId);
+      totalDays = Number(institution?.transaction_total_days) || null;
+    } catch (error) {
+      // Without the institution limits the requested window (if any) is all we have.
+    }
+  }
+
+  const limits = [requested, totalDays].filter(Boolean);
+  return {
+    windowDays: limits.length ? Math.min(...limits) : null,
+    totalDays,
+  };
+}
+
+function describeWindowError(error) {
+  const status = error.response?.status;
+  const data = error.response?.data;
+  if (!status) {
+    return error.message;
+  }
+  const body = data === undefined || data === "" ? "" : `: ${typeof data === "string" ? data : JSON.stringify(data)}`;
+  return `${error.message} (HTTP ${status})${body}`;
+}
+
+async function fetchTransactionsInWindows(client, accountId, { dateFrom, dateTo, windowDays }) {
+  const windows = splitDateRange(dateFrom, dateTo, windowDays);
+  const sets = [];
+  const report = [];
+  let stopError = null;
+  let firstError = null;
+
+  for (const window of windows) {
+    if (stopError) {
+      report.push({ ...window, status: "skipped", error: stopError.message });
+      continue;
+    }
+
+    try {
+      const set = await client.getAccountTransactions(accountId, window);
+      sets.push(set);
+      report.push({
+        ...window,
+        status: "ok",
+        booked: set?.transactions?.booked?.length || 0,
+        pending: set?.transactions?.pending?.length || 0,
+      });
+    } catch (error) {
+      report.push({ ...window, status: "failed", error: describeWindowError(error) });
+      firstError = firstError || error;
+      if (error instanceof RateLimitError) {
+        stopError = error;
+      }
+    }
+  }
+
+  if (!sets.length) {
+    throw firstError;
+  }
+
+  return {
+    transactions: mergeTransactionSets(sets),
+    windows: report,
+  };
+}
+
+module.exports = {
+  buildTransactionKey,
+  dedupeTransactions,
+  fetchTransactionsInWindows,
+  mergeTransactionSets,
+  resolveWindowDays,
+  splitDateRange,
+};
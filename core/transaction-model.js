@@ -0,0 +1,160 @@
+const { buildTransactionKey } = require("./transaction-fetcher");
+
+const sources = [];
+
+function readNumber(value) {
+  const parsed = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function readIsoDate(date, dateTime) {
+  return date || (dateTime || "").split("T")[0] || null;
+}
+
+function readDirection(amount, explicit) {
+  if (explicit === "credit" || explicit === "debit") {
+    return explicit;
+  }
+  if (amount === null || amount === 0) {
+    return null;
+  }
+  return amount > 0 ? "credit" : "debit";
+}
+
+function registerTransactionSource(name, { detect, normalise }) {
+  const existing = sources.findIndex((source) => source.name === name);
+  const source = { name, detect, normalise };
+  if (existing >= 0) {
+    sources[existing] = source;
+  } else {
+    sources.push(source);
+  }
+}
+
+registerTransactionSource("gocardless", {
+  detect: (raw) => Boolean(raw && raw.transactionAmount),
+  normalise(raw, context) {
+    const amount = readNumber(raw.transactionAmount?.amount);
+    const direction = readDirection(amount);
+    const debtor = { name: raw.debtorName, account: raw.debtorAccount?.iban };
+    const creditor = { name: raw.creditorName, account: raw.creditorAccount?.iban };
+    const counterparty = direction === "debit" ? creditor : debtor;
+    const key = raw.key || buildTransactionKey(raw);
+
+    return {
+      id: raw.transactionId || raw.internalTransactionId || key,
+      status: context.status || "booked",
+      bookingDate: readIsoDate(raw.bookingDate, raw.bookingDateTime),
+      valueDate: readIsoDate(raw.valueDate, raw.valueDateTime),
+      amount,
+      currency: raw.transactionAmount?.currency || null,
+      direction,
+      counterpartyName: counterparty.name || debtor.name || creditor.name || null,
+      counterpartyAccount: counterparty.account || debtor.account || creditor.account || null,
+      counterpartyBic: null,
+      communication:
+        raw.remittanceInformationUnstructured ||
+        (raw.remittanceInformationUnstructuredArray || []).join(" ") ||
+        null,
+      orderReference: raw.remittanceInformationStructured || raw.endToEndId || null,
+      bankReference: raw.entryReference || raw.internalTransactionId || null,
+      provenance: {
+        alias: context.alias || null,
+        accountId: context.accountId || null,
+        key,
+        files: raw.sources || (context.file ? [context.file] : []),
+      },
+    };
+  },
+});
+
+registerTransactionSource("pdf", {
+  detect: (raw) => Boolean(raw && ("statementId" in raw || "sequence" in raw || "direction" in raw)),
+  normalise(raw, context) {
+    const amount = readNumber(raw.amount);
+    const statementId = raw.statementId || context.statementId || null;
+    return {
+      id: `${statementId}:${raw.sequence ?? raw.bankReference ?? raw.bookingDate}`,
+      status: "booked",
+      bookingDate: raw.bookingDate || raw.valueDate || null,
+      valueDate: raw.valueDate || null,
+      amount,
+      currency: raw.currency || null,
+      direction: readDirection(amount, raw.direction),
+      counterpartyName: raw.counterpartyName || null,
+      counterpartyAccount: raw.counterpartyAccount || null,
+      counterpartyBic: raw.counterpartyBic || null,
+      communication: raw.communication || null,
+      orderReference: raw.orderReference || null,
+      bankReference: raw.bankReference || null,
+      provenance: {
+        statementId,
+        sequence: raw.sequence ?? null,
+        accountIban: raw.accountIban || context.accountIban || null,
+        files: [raw.statementFile || context.file].filter(Boolean),
+      },
+    };
+  },
+});
+
+function normaliseTransaction(raw, context = {}) {
+  if (raw && raw.source && raw.provenance && "direction" in raw) {
+    return raw;
+  }
+
+  const source = context.source
+    ? sources.find((entry) => entry.name === context.source)
+    : sources.find((entry) => entry.detect(raw));
+  if (!source) {
+    throw new Error(`Unrecognised transaction shape: ${JSON.stringify(raw).slice(0, 120)}`);
+  }
+
+  return { ...source.normalise(raw, context), source: source.name, raw };
+}
+
+function normaliseTransactions(list, context = {}) {
+  return (list || []).map((raw) => normaliseTransaction(raw, context));
+}
+
+function normaliseStatementPayload(payload, context = {}) {
+  if (Array.isArray(payload?.operations)) {
+    const statementContext = payload.statementId
+      ? { statementId: payload.statementId, accountIban: payload.account?.iban || null }
+      : {};
+    return {
+      booked: normaliseTransactions(payload.operations, { ...context, ...statementContext, source: "pdf" }),
+      pending: [],
+    };
+  }
+
+  const transactions = payload?.transactions?.transactions || {};
+  const gocardlessContext = {
+    alias: payload?.accountAlias || null,
+    accountId: payload?.accountId || null,
+    ...context,
+    source: "gocardless",
+  };
+  return {
+    booked: normaliseTransactions(transactions.booked, gocardlessContext),
+    pending: normaliseTransactions(transactions.pending, { ...gocardlessContext, status: "pending" }),
+  };
+}
+
+function describeProvenance(transaction) {
+  const { provenance } = transaction;
+  if (transaction.source === "pdf") {
+    return `statement ${provenance.statementId || "?"} seq ${provenance.sequence || "?"}`;
+  }
+  if (transaction.source === "gocardless") {
+    return `${provenance.alias || "account"} ${transaction.id}`;
+  }
+  return `${transaction.source} ${transaction.id}`;
+}
+
+module.exports = {
+  describeProvenance,
+  normaliseTransaction,
+  normaliseStatementPayload,
+  normaliseTransactions,
+  registerTransactionSource,
+};
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const belfius = require("../apps/invoiceninja/lib/statement-parsers/belfius");
+const { detectStatementLanguage } = require("../apps/invoiceninja/lib/statement-parsers/belfius-labels");
+const { findStatementParser } = require("../apps/invoiceninja/lib/statement-parsers");
+const { BELFIUS_NL, belfiusLines, bnpParibasFortisLines } = require("./fixtures/statement-lines");
+
+test("parses a French Belfius statement", () => {
+  const statement = belfius.parse(belfiusLines());
+
+  assert.equal(statement.language, "fr");
+  assert.deepEqual(statement.account, {
+    name: "JOHN DOE",
+    iban: "BE68539007547034",
+    currency: "EUR",
+    bic: "GKCCBEBB",
+  });
+  assert.equal(statement.statementYear, "2024");
+  assert.equal(statement.statementNumber, "12");
+  assert.deepEqual(statement.balances, {
+    closing: { date: "2024-03-31", amount: 1540 },
+    opening: { date: "2024-03-01", amount: 1000 },
+  });
+
+  const [rent, card] = statement.operations;
+  assert.equal(statement.operations.length, 2);
+  assert.equal(rent.sequence, "0001");
+  assert.equal(rent.bookingDate, "2024-03-05");
+  assert.equal(rent.executionDate, "2024-03-05");
+  assert.equal(rent.amount, 590);
+  assert.equal(rent.direction, "credit");
+  assert.equal(rent.communication, "loyer mars");
+  assert.equal(rent.bankReference, "ABC123");
+  assert.equal(rent.counterpartyName, "TENANT UNIT 1");
+  assert.equal(rent.counterpartyAccount, "BE71096123456769");
+  assert.equal(rent.counterpartyBic, "GKCCBEBB");
+  assert.equal(card.amount, -50);
+  assert.equal(card.direction, "debit");
+});
+
+test("parses the same layout in Dutch", () => {
+  const statement = belfius.parse(belfiusLines(BELFIUS_NL));
+
+  assert.equal(statement.language, "nl");
+  assert.equal(statement.statementNumber, "12");
+  assert.equal(statement.balances.opening.amount, 1000);
+  assert.deepEqual(
+    statement.operations.map((operation) => [operation.amount, operation.communication, operation.bankReference]),
+    [
+      [590, "loyer mars", "ABC123"],
+      [-50, null, null],
+    ]
+  );
+});
+
+test("'Les dépôts' ends the operations list but not an operation's details", () => {
+  const statement = belfius.parse(
+    belfiusLines({
+      counterparty: ["TENANT UNIT 1", "RUE X 1", "Les dépôts de garantie"],
+      trailer: ["Les dépôts sont protégés jusqu'à 100.000 EUR", "0003 Not an operation", "07-03-2024 1,00 -"],
+    })
+  );
+
+  assert.equal(statement.operations.length, 2);
+  assert.deepEqual(statement.operations[0].additionalDetails, ["Les dépôts de garantie"]);
+});
+
+test("detects Belfius statements by their account BIC", () => {
+  assert.equal(belfius.detect(belfiusLines()), true);
+  assert.equal(belfius.detect(belfiusLines(BELFIUS_NL)), true);
+  assert.equal(belfius.detect(bnpParibasFortisLines()), false);
+});
+
+test("a statement without an account BIC falls back to its Belfius headings", () => {
+  const lines = belfiusLines().filter((line) => line !== "BIC GKCCBEBB");
+
+  assert.equal(belfius.detect(lines), true);
+  assert.equal(findStatementParser(lines).name, "belfius");
+  assert.equal(belfius.parse(lines).operations.length, 2);
+
+  const otherBank = belfiusLines().map((line) => (line === "BIC GKCCBEBB" ? "BIC KREDBEBB" : line));
+  assert.equal(belfius.detect(otherBank), false);
+});
+
+test("free text in transaction details does not make a statement look like Belfius", () => {
+  const lines = bnpParibasFortisLines({
+    detail: ["BELFIUS BANK", "BIC GKCCBEBB", "Communication : loyer", "Message : merci"],
+  });
+
+  assert.equal(belfius.detect(lines), false);
+  assert.equal(detectStatementLanguage(["Communication : loyer", "Message : merci"]), null);
+});
+
+test("detects the language of a Belfius statement from its headings", () => {
+  assert.equal(detectStatementLanguage(["Extrait N° 2024 - 12", "Solde précédent au 01-03-2024 1.000,00 +"]), "fr");
+  assert.equal(detectStatementLanguage(["Uittreksel nr 2024 - 12", "Vorig saldo op 01-03-2024 1.000,00 +"]), "nl");
+  assert.equal(detectStatementLanguage(["Statement No 2024 - 12", "Previous balance on 01-03-2024 1,000.00 +"]), "en");
+  assert.equal(detectStatementLanguage(["Kontoauszug Nr 2024 - 12", "Alter Saldo am 01-03-2024 1.000,00 +"]), "de");
+  assert.equal(detectStatementLanguage(["Some other bank", "Statement"]), null);
+});
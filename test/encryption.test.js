@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const KEY = "0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef";
+process.env.DATA_ENCRYPTION_KEY = KEY;
+
+const {
+  decodeJson,
+  encodeJson,
+  generateKey,
+  hashLookupValue,
+  isEncryptedEnvelope,
+  loadEncryptionKey,
+} = require("../core/encryption");
+
+const payload = { accountAlias: "belfius", transactions: { booked: [{ amount: "590.00", name: "Tenant" }] } };
+
+function hasSqliteDriver() {
+  try {
+    require.resolve("better-sqlite3");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test("encoded JSON decodes back to the same payload", () => {
+  const key = loadEncryptionKey({ DATA_ENCRYPTION_KEY: generateKey() });
+  const text = encodeJson(payload, { key });
+
+  assert.ok(isEncryptedEnvelope(JSON.parse(text)));
+  assert.ok(!text.includes("Tenant"));
+  assert.deepEqual(decodeJson(text, { key }), payload);
+});
+
+test("plaintext JSON is still read when a key is configured", () => {
+  const key = loadEncryptionKey({ DATA_ENCRYPTION_KEY: KEY });
+  assert.deepEqual(decodeJson(JSON.stringify(payload), { key }), payload);
+});
+
+test("a wrong key, a missing key or tampered data is rejected", () => {
+  const key = loadEncryptionKey({ DATA_ENCRYPTION_KEY: KEY });
+  const text = encodeJson(payload, { key });
+
+  assert.throws(
+    () => decodeJson(text, { key: loadEncryptionKey({ DATA_ENCRYPTION_KEY: generateKey() }) }),
+    /wrong key or the file was tampered with/
+  );
+  assert.throws(() => decodeJson(text, { key: null }), /no key is configured/);
+
+  const envelope = JSON.parse(text);
+  const data = Buffer.from(envelope.data, "base64");
+  data[0] ^= 1;
+  assert.throws(
+    () => decodeJson(JSON.stringify({ ...envelope, data: data.toString("base64") }), { key }),
+    /tampered/
+  );
+});
+
+test("keys must be 32 bytes", () => {
+  assert.throws(() => loadEncryptionKey({ DATA_ENCRYPTION_KEY: "too-short" }), /32-byte key/);
+});
+
+test("lookup hashes are stable per key and differ across keys", () => {
+  const key = loadEncryptionKey({ DATA_ENCRYPTION_KEY: KEY });
+  const other = loadEncryptionKey({ DATA_ENCRYPTION_KEY: generateKey() });
+
+  assert.equal(hashLookupValue("BE68539007547034", key), hashLookupValue("BE68539007547034", key));
+  assert.notEqual(hashLookupValue("BE68539007547034", key), hashLookupValue("BE68539007547034", other));
+});
+
+test("the SQLite store keeps payloads and indexed columns out of plaintext", { skip: !hasSqliteDriver() }, (t) => {
+  const { openSqliteStore } = require("../core/sqlite-store");
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-store-"));
+  const store = openSqliteStore({ filePath: path.join(directory, "store.sqlite") });
+  t.after(() => {
+    store.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const operation = {
+    statementId: "547034-2024-012",
+    sequence: "0001",
+    accountIban: "BE68 5390 0754 7034",
+    bookingDate: "2024-03-05",
+    amount: 590,
+    direction: "credit",
+    counterpartyName: "TENANT UNIT 1",
+    counterpartyAccount: "BE71 0961 2345 6769",
+    communication: "loyer mars",
+  };
+  store.upsertOperations([operation]);
+
+  assert.deepEqual(store.queryOperations({ accountIban: "BE68539007547034" }), [operation]);
+  assert.equal(store.queryOperations({ counterpartyIban: "BE71 0961 2345 6769" }).length, 1);
+  assert.equal(store.queryOperations({ accountIban: "BE12001234567890" }).length, 0);
+
+  // WAL mode keeps recent writes in store.sqlite-wal, so every file of the database is checked.
+  const raw = fs
+    .readdirSync(directory)
+    .map((file) => fs.readFileSync(path.join(directory, file)).toString("latin1"))
+    .join("");
+  ["TENANT UNIT 1", "loyer mars", "BE68539007547034", "BE71096123456769"].forEach((value) => {
+    assert.ok(!raw.includes(value), `${value} is stored in plaintext`);
+  });
+});
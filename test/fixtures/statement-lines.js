@@ -0,0 +1,79 @@
+// Text lines as pdf-parse returns them (trimmed, empty lines dropped) for small synthetic statements.
+
+function belfiusLines({
+  title = "Extrait N° 2024 - 12",
+  opening = "Solde précédent au 01-03-2024 1.000,00 +",
+  closing = "Solde actuel au 31-03-2024 1.540,00 +",
+  header = ["N° Type d'opération", "Date", "Valeur Montant"],
+  communication = "Communication",
+  bankReference = "Référence banque",
+  executionDate = "Date d'exécution",
+  counterparty = ["TENANT UNIT 1", "RUE X 1"],
+  trailer = [],
+} = {}) {
+  return [
+    "BELFIUS BANK",
+    title,
+    "JOHN DOE",
+    "BE68 5390 0754 7034 EUR",
+    "BIC GKCCBEBB",
+    opening,
+    ...header,
+    "05-03-2024",
+    "0001 Virement",
+    ...counterparty,
+    "BE71 0961 2345 6769 EUR",
+    "GKCC BE BB",
+    `${communication} : loyer mars`,
+    `${bankReference} : ABC123`,
+    `${executionDate} : 05-03-2024`,
+    "05-03 590,00 +",
+    "0002 Paiement carte",
+    "SHOP",
+    "06-03-2024 50,00 -",
+    ...trailer,
+    closing,
+  ];
+}
+
+const BELFIUS_NL = {
+  title: "Uittreksel nr 2024 - 12",
+  opening: "Vorig saldo op 01-03-2024 1.000,00 +",
+  closing: "Nieuw saldo op 31-03-2024 1.540,00 +",
+  header: ["Nr Type verrichting", "Datum", "Valuta Bedrag"],
+  communication: "Mededeling",
+  bankReference: "Referentie bank",
+  executionDate: "Uitvoeringsdatum",
+};
+
+function bnpParibasFortisLines({ detail = ["ACME SA", "AVENUE Y 2"] } = {}) {
+  return [
+    "BNP Paribas Fortis SA/NV",
+    "Extrait de compte 2024 / 3",
+    "Période du 01-03-2024 au 31-03-2024",
+    "JANE DOE",
+    "BE12 0012 3456 7890 EUR",
+    "BIC GEBABEBB",
+    "Ancien solde au 29-02-2024 2.000,00 +",
+    "Nº Date d'exécution Description Date valeur Montant",
+    "0021 05-03-2024 VIREMENT EN EURO 05-03-2024 1.210,00 +",
+    ...detail,
+    "BE71 0961 2345 6769",
+    "BIC : GKCCBEBB",
+    "Communication : +++250/0004/12345+++",
+    "Référence de la banque : 2403051234",
+    "0022 06-03-2024 PAIEMENT PAR CARTE 06-03-2024 -45,90",
+    "DELHAIZE BRUXELLES",
+    "Page 1 / 2",
+    "0023 07-03-2024 DOMICILIATION 07-03-2024 12,00 -",
+    "PROXIMUS",
+    "Communication : facture 03",
+    "Nouveau solde au 31-03-2024 3.152,10 +",
+  ];
+}
+
+module.exports = {
+  BELFIUS_NL,
+  belfiusLines,
+  bnpParibasFortisLines,
+};
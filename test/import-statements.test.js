@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { decodeJson } = require("../core/encryption");
+const { belfiusLines } = require("./fixtures/statement-lines");
+const { buildStatementPdf } = require("./fixtures/statement-pdf");
+
+const IMPORT_SCRIPT = path.join(__dirname, "..", "apps", "invoiceninja", "import-statements.js");
+
+function hasSqliteDriver() {
+  try {
+    require.resolve("better-sqlite3");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function createWorkspace(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "import-statements-"));
+  fs.mkdirSync(path.join(directory, "in"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+function importStatements(directory, env = {}) {
+  return execFileSync(process.execPath, [IMPORT_SCRIPT, "--input", "in", "--output", "out"], {
+    cwd: directory,
+    env: { ...process.env, ...env },
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+function readManifest(directory) {
+  return decodeJson(fs.readFileSync(path.join(directory, "out", "import-manifest.json"), "utf8"));
+}
+
+test("a replaced statement's earlier PDF leaves the import manifest", (t) => {
+  const directory = createWorkspace(t);
+  const pdfPath = path.join(directory, "in", "belfius-12.pdf");
+  const original = buildStatementPdf(belfiusLines());
+  const downloadedAgain = buildStatementPdf(belfiusLines({ trailer: ["Page 2 / 2"] }));
+
+  fs.writeFileSync(pdfPath, original);
+  importStatements(directory);
+  fs.writeFileSync(pdfPath, downloadedAgain);
+  const replacing = importStatements(directory);
+
+  assert.match(replacing, /replaces the import of a different PDF/);
+  assert.deepEqual(Object.keys(readManifest(directory).files), [sha256(downloadedAgain)]);
+
+  fs.writeFileSync(pdfPath, original);
+  assert.match(importStatements(directory), /1 reparsed, 0 skipped/);
+  assert.deepEqual(Object.keys(readManifest(directory).files), [sha256(original)]);
+});
+
+test("imported operations are written to the SQLite store", { skip: !hasSqliteDriver() }, (t) => {
+  const { openSqliteStore } = require("../core/sqlite-store");
+  const directory = createWorkspace(t);
+  const env = { STORAGE_BACKEND: "sqlite", SQLITE_PATH: path.join(directory, "store.sqlite") };
+
+  fs.writeFileSync(path.join(directory, "in", "belfius-12.pdf"), buildStatementPdf(belfiusLines()));
+  importStatements(directory, env);
+
+  const store = openSqliteStore({ filePath: env.SQLITE_PATH });
+  try {
+    const operations = store.queryOperations({ accountIban: "BE68539007547034" });
+    assert.deepEqual(
+      operations.map((operation) => [operation.statementId, operation.sequence, operation.amount]),
+      [
+        ["547034-2024-012", "0001", 590],
+        ["547034-2024-012", "0002", -50],
+      ]
+    );
+    assert.equal(operations[0].counterpartyName, "TENANT UNIT 1");
+  } finally {
+    store.close();
+  }
+
+  // A corrected download of the same statement replaces its rows instead of adding to them.
+  const cardPayment = ["0002 Paiement carte", "SHOP", "06-03-2024 50,00 -"];
+  const corrected = belfiusLines({ closing: "Solde actuel au 31-03-2024 1.590,00 +" }).filter(
+    (line) => !cardPayment.includes(line)
+  );
+  fs.writeFileSync(path.join(directory, "in", "belfius-12.pdf"), buildStatementPdf(corrected));
+  importStatements(directory, env);
+
+  const reopened = openSqliteStore({ filePath: env.SQLITE_PATH });
+  try {
+    assert.deepEqual(
+      reopened.queryOperations({ accountIban: "BE68539007547034" }).map((operation) => operation.sequence),
+      ["0001"]
+    );
+  } finally {
+    reopened.close();
+  }
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { listOpenPending, reconcilePending } = require("../core/pending-tracker");
+
+function transaction(id, date, amount, reference = null) {
+  return {
+    transactionId: id,
+    bookingDate: date,
+    transactionAmount: { amount: String(amount), currency: "EUR" },
+    debtorName: "TENANT",
+    remittanceInformationUnstructured: reference,
+  };
+}
+
+function track(pending, observedAt = "2024-03-01T08:00:00.000Z") {
+  return reconcilePending([], { pending, observedAt }).tracked;
+}
+
+test("new pending transactions are added once", () => {
+  const first = reconcilePending([], { pending: [transaction("p1", "2024-03-01", 590, "Rent March")] });
+  assert.equal(first.events.added.length, 1);
+  assert.equal(first.tracked[0].status, "pending");
+
+  const second = reconcilePending(first.tracked, { pending: [transaction("p1", "2024-03-01", 590, "Rent March")] });
+  assert.equal(second.events.added.length, 0);
+  assert.equal(listOpenPending(second.tracked).length, 1);
+});
+
+test("a pending transaction is linked to its booked counterpart", () => {
+  const tracked = track([transaction("p1", "2024-03-01", 590, "Rent March")]);
+  const booked = [transaction("b1", "2024-03-03", 590, "RENT MARCH")];
+
+  const { tracked: next, events } = reconcilePending(tracked, { pending: [], booked });
+
+  assert.equal(events.booked.length, 1);
+  assert.equal(next[0].status, "booked");
+  assert.ok(next[0].bookedKey);
+  assert.equal(listOpenPending(next).length, 0);
+});
+
+test("a booking outside the delay window or with another amount does not match", () => {
+  const tracked = track([transaction("p1", "2024-03-01", 590, "Rent March")]);
+  const booked = [transaction("b1", "2024-03-30", 590, "Rent March"), transaction("b2", "2024-03-02", 580, "Rent March")];
+
+  const { tracked: next, events } = reconcilePending(tracked, { pending: [], booked });
+
+  assert.equal(events.booked.length, 0);
+  assert.equal(next[0].status, "vanished");
+});
+
+test("a pending transaction replaced with another amount is reported as changed", () => {
+  const tracked = track([transaction("p1", "2024-03-01", 590, "Rent March")]);
+
+  const { tracked: next, events } = reconcilePending(tracked, {
+    pending: [transaction("p2", "2024-03-01", 560, "Rent March")],
+  });
+
+  assert.equal(events.changed.length, 1);
+  assert.equal(events.changed[0].newAmount, 560);
+  const replacement = next.find((entry) => entry.status === "pending");
+  assert.equal(replacement.originalAmount, 590);
+});
+
+test("only entries inside a successfully fetched window can vanish", () => {
+  const tracked = track([transaction("old", "2024-01-05", 100), transaction("recent", "2024-03-10", 200)]);
+  const windows = [
+    { dateFrom: "2024-01-01", dateTo: "2024-02-29", status: "failed" },
+    { dateFrom: "2024-03-01", dateTo: "2024-03-31", status: "ok" },
+  ];
+
+  const { tracked: next, events } = reconcilePending(tracked, { pending: [], windows });
+
+  assert.deepEqual(
+    next.map((entry) => [entry.date, entry.status]),
+    [
+      ["2024-01-05", "pending"],
+      ["2024-03-10", "vanished"],
+    ]
+  );
+  assert.equal(events.vanished.length, 1);
+});
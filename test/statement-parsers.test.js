@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  findStatementParser,
+  getStatementParser,
+  listStatementParsers,
+  registerStatementParser,
+} = require("../apps/invoiceninja/lib/statement-parsers");
+const { BELFIUS_NL, belfiusLines, bnpParibasFortisLines } = require("./fixtures/statement-lines");
+
+test("lists the bundled parsers with the narrowest detection first", () => {
+  assert.deepEqual(
+    listStatementParsers().map((parser) => parser.name),
+    ["bnp-paribas-fortis", "belfius"]
+  );
+});
+
+test("finds the parser of each bank", () => {
+  assert.equal(findStatementParser(belfiusLines()).name, "belfius");
+  assert.equal(findStatementParser(belfiusLines(BELFIUS_NL)).name, "belfius");
+  assert.equal(findStatementParser(bnpParibasFortisLines()).name, "bnp-paribas-fortis");
+  assert.equal(findStatementParser(["Some other bank", "Statement"]), null);
+});
+
+test("a BNP Paribas Fortis counterparty does not turn a Belfius statement into a BNP one", () => {
+  const lines = belfiusLines({ counterparty: ["BNP Paribas Fortis SA/NV", "BIC GEBABEBB"] });
+
+  assert.equal(getStatementParser("bnp-paribas-fortis").detect(lines), false);
+  assert.equal(findStatementParser(lines).name, "belfius");
+});
+
+test("BNP Paribas Fortis needs both its name line and its BIC in the account block", () => {
+  const bnp = getStatementParser("bnp-paribas-fortis");
+  const lines = bnpParibasFortisLines();
+
+  assert.equal(bnp.detect(lines), true);
+  assert.equal(bnp.detect(lines.filter((line) => !line.startsWith("BNP Paribas Fortis"))), false);
+  assert.equal(bnp.detect(lines.map((line) => (line === "BIC GEBABEBB" ? "BIC KREDBEBB" : line))), false);
+  assert.equal(bnp.detect(["Virement BNP Paribas Fortis", "BIC GEBABEBB"]), false);
+});
+
+test("parses a BNP Paribas Fortis statement", () => {
+  const statement = getStatementParser("bnp-paribas-fortis").parse(bnpParibasFortisLines());
+
+  assert.deepEqual(statement.account, {
+    name: "JANE DOE",
+    iban: "BE12001234567890",
+    currency: "EUR",
+    bic: "GEBABEBB",
+  });
+  assert.equal(statement.statementYear, "2024");
+  assert.equal(statement.statementNumber, "3");
+  assert.deepEqual(statement.balances, {
+    closing: { date: "2024-03-31", amount: 3152.1 },
+    opening: { date: "2024-02-29", amount: 2000 },
+  });
+  assert.deepEqual(
+    statement.operations.map((operation) => [operation.sequence, operation.amount, operation.counterpartyName]),
+    [
+      ["0021", 1210, "ACME SA"],
+      ["0022", -45.9, "DELHAIZE BRUXELLES"],
+      ["0023", -12, "PROXIMUS"],
+    ]
+  );
+  assert.equal(statement.operations[0].counterpartyBic, "GKCCBEBB");
+  assert.equal(statement.operations[0].communication, "+++250/0004/12345+++");
+});
+
+test("getStatementParser names the available parsers for an unknown name", () => {
+  assert.throws(
+    () => getStatementParser("nope"),
+    /Unknown statement parser "nope"\. Available parsers: bnp-paribas-fortis, belfius\./
+  );
+});
+
+test("registerStatementParser rejects incomplete parsers and replaces by name", () => {
+  assert.throws(() => registerStatementParser({ name: "broken", version: 1, detect: () => true }), /needs a name/);
+  assert.throws(
+    () => registerStatementParser({ name: "broken", version: "1", detect: () => true, parse: () => ({}) }),
+    /integer version/
+  );
+
+  const custom = {
+    name: "test-bank",
+    label: "Test bank",
+    version: 1,
+    detect: (lines) => lines[0] === "TEST BANK",
+    parse: () => ({}),
+  };
+  registerStatementParser(custom);
+  registerStatementParser({ ...custom, version: 2 });
+
+  assert.equal(listStatementParsers().filter((parser) => parser.name === "test-bank").length, 1);
+  assert.equal(getStatementParser("test-bank").version, 2);
+  assert.equal(findStatementParser(["TEST BANK"]).name, "test-bank");
+});
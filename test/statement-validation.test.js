@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkStatementContinuity,
+  validateStatementBalance,
+  validateStatements,
+} = require("../apps/invoiceninja/lib/statement-validation");
+
+function statement(year, number, opening, closing, amounts = [closing - opening], iban = "BE68539007547034") {
+  return {
+    statementId: `${iban.slice(-6)}-${year}-${String(number).padStart(3, "0")}`,
+    statementYear: String(year),
+    statementNumber: String(number),
+    account: { iban },
+    balances: { opening: { amount: opening }, closing: { amount: closing } },
+    operations: amounts.map((amount) => ({ amount })),
+  };
+}
+
+test("a statement whose operations add up to its closing balance is ok", () => {
+  const result = validateStatementBalance(statement(2024, 1, 1000, 1540, [590, -50]));
+
+  assert.equal(result.status, "ok");
+  assert.equal(result.movement, "540.00");
+  assert.equal(result.difference, "0.00");
+});
+
+test("rounding within a cent is tolerated", () => {
+  assert.equal(validateStatementBalance(statement(2024, 1, 0.1, 0.31, [0.2])).status, "ok");
+});
+
+test("a missing operation shows up as a mismatch", () => {
+  const result = validateStatementBalance(statement(2024, 1, 1000, 1540, [590]));
+
+  assert.equal(result.status, "mismatch");
+  assert.equal(result.difference, "-50.00");
+  assert.equal(result.reason, "operations do not add up to the closing balance");
+});
+
+test("operations without an amount are named as the likely cause", () => {
+  const result = validateStatementBalance(statement(2024, 1, 1000, 1540, [590, null]));
+
+  assert.equal(result.status, "mismatch");
+  assert.equal(result.unparsed, 1);
+  assert.equal(result.reason, "1 operation(s) without an amount");
+});
+
+test("a statement without both balances is incomplete", () => {
+  const incomplete = statement(2024, 1, 1000, 1540);
+  incomplete.balances.closing.amount = null;
+
+  const result = validateStatementBalance(incomplete);
+  assert.equal(result.status, "incomplete");
+  assert.equal(result.reason, "missing closing balance");
+});
+
+test("continuity reports gaps, duplicates and balance breaks per IBAN", () => {
+  const { accounts, unnumbered } = checkStatementContinuity([
+    statement(2024, 3, 1200, 1300),
+    statement(2024, 1, 1000, 1100),
+    statement(2024, 2, 1150, 1200),
+    statement(2024, 2, 1150, 1200),
+    statement(2024, 6, 1400, 1500),
+    statement(2024, 1, 0, 10, [10], "BE12001234567890"),
+    { statementId: "loose", account: { iban: "BE68539007547034" }, operations: [] },
+  ]);
+
+  const belfius = accounts.find((account) => account.iban === "BE68539007547034");
+  assert.equal(belfius.statements, 5);
+  assert.equal(belfius.first, "547034-2024-001");
+  assert.equal(belfius.last, "547034-2024-006");
+  assert.deepEqual(belfius.duplicates, [{ year: "2024", number: 2 }]);
+  assert.deepEqual(belfius.gaps, [{ year: "2024", missing: [4, 5], before: "547034-2024-006" }]);
+  assert.deepEqual(belfius.balanceBreaks, [
+    {
+      from: "547034-2024-001",
+      to: "547034-2024-002",
+      previousClosing: "1100.00",
+      opening: "1150.00",
+      difference: "50.00",
+    },
+  ]);
+
+  const other = accounts.find((account) => account.iban === "BE12001234567890");
+  assert.deepEqual([other.gaps, other.duplicates, other.balanceBreaks], [[], [], []]);
+  assert.deepEqual(unnumbered, [{ iban: "BE68539007547034", statementId: "loose" }]);
+});
+
+test("numbering restarts every year", () => {
+  const { accounts } = checkStatementContinuity([
+    statement(2023, 52, 900, 1000),
+    statement(2024, 1, 1000, 1100),
+    statement(2025, 2, 1200, 1300),
+  ]);
+
+  assert.deepEqual(accounts[0].gaps, [{ year: "2025", missing: [1], before: "547034-2025-002" }]);
+  assert.deepEqual(accounts[0].balanceBreaks, []);
+});
+
+test("validateStatements counts every problem", () => {
+  const { balances, problems } = validateStatements([
+    statement(2024, 1, 1000, 1100),
+    statement(2024, 2, 1100, 1300, [100]),
+    statement(2024, 4, 1300, 1400),
+  ]);
+
+  assert.deepEqual(
+    balances.map((result) => result.status),
+    ["ok", "mismatch", "ok"]
+  );
+  assert.equal(problems, 2);
+});